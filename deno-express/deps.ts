@@ -0,0 +1,33 @@
+import * as path from "https://deno.land/std@0.92.0/path/mod.ts";
+import { concat, indexOf } from "https://deno.land/std@0.92.0/bytes/mod.ts";
+import * as http from "https://deno.land/std@0.92.0/http/server.ts";
+import { writeAll } from "https://deno.land/std@0.92.0/io/util.ts";
+import { STATUS_TEXT } from "https://deno.land/std@0.92.0/http/http_status.ts";
+import { lookup } from "https://deno.land/x/media_types@v2.7.1/mod.ts";
+import { db } from "https://deno.land/x/media_types@v2.7.1/db.ts";
+import { createBrotliCompress } from "node:zlib";
+import { Duplex } from "node:stream";
+import { AsyncLocalStorage } from "node:async_hooks";
+import {
+  cyan,
+  green,
+  red,
+  yellow,
+} from "https://deno.land/std@0.92.0/fmt/colors.ts";
+export {
+  AsyncLocalStorage,
+  concat,
+  createBrotliCompress,
+  cyan,
+  db,
+  Duplex,
+  green,
+  http,
+  indexOf,
+  lookup,
+  path,
+  red,
+  STATUS_TEXT,
+  writeAll,
+  yellow,
+};
@@ -0,0 +1,307 @@
+import {http} from "./deps.ts"
+import {Request} from "./src/Request.ts"
+import {Response} from "./src/Response.ts"
+import {simplePathMatcher} from "./src/simplePathMatcher.ts"
+import {Router} from "./src/Router.ts"
+import {ErrorHandler, Method, Middleware} from "./types/index.ts"
+import {ListenOptions} from "./types/interfaces/ListenOptions.ts"
+import {defaultErrorHandler} from "./src/functions/defaultErrorHandler.ts"
+import {drainableListener} from "./src/functions/drainableListener.ts"
+import {onClientClose} from "./src/functions/clientClose.ts"
+import {runWithTimeout} from "./src/functions/timeout.ts"
+import {MultipartOptions} from "./types/interfaces/MultipartOptions.ts"
+import {parseMultipart} from "./src/functions/multipart.ts"
+import {MetricsOptions} from "./types/interfaces/MetricsOptions.ts"
+import {Counter, Gauge, Histogram, Metrics} from "./src/Metrics.ts"
+import {httpMetrics} from "./src/functions/httpMetrics.ts"
+import {HealthOptions} from "./types/interfaces/HealthOptions.ts"
+import {healthHandler} from "./src/functions/health.ts"
+
+
+export class App extends Router {
+    errorHandlers: ErrorHandler[] = []
+    shutdownHooks: (() => Promise<void> | void)[] = []
+    // set once close() was called on a server of the app
+    shuttingDown = false
+    private connectionCounts = new Set<() => number>()
+
+    // Registers an (err, req, res, next) handler for errors thrown by
+    // middlewares and routes. Handlers run in registration order, calling
+    // next passes the error on, ending with defaultErrorHandler.
+    onError(handler: ErrorHandler): void {
+        this.errorHandlers.push(handler)
+    }
+
+    // Starts serving requests. close() stops accepting connections, waits
+    // up to options.shutdownTimeout for in-flight requests, closes the
+    // remaining connections and then runs the shutdown hooks.
+    async listen(port: number, host = "127.0.0.1", options: ListenOptions = {}) {
+        const {shutdownTimeout = 10000, handleSignals = false} = options
+        const {listener, stopAccepting, connections} = drainableListener(
+            Deno.listen({hostname: host, port}),
+        )
+        this.connectionCounts.add(connections)
+        const s = new http.Server(listener)
+        const self = this
+        const inFlight = new Set<Promise<void>>()
+        let closing: Promise<void> | undefined
+
+        async function start() {
+            for await (const httpRequest of s) {
+                if (closing) {
+                    // a keep-alive connection sent another request meanwhile
+                    httpRequest.respond({status: 503}).catch(() => {})
+                    continue
+                }
+                const serving = self.serve(httpRequest, options)
+                inFlight.add(serving)
+                serving.finally(() => inFlight.delete(serving))
+            }
+        }
+
+        function close(): Promise<void> {
+            self.shuttingDown = true
+            if (!closing) closing = shutdown()
+            return closing
+        }
+
+        async function shutdown() {
+            stopAccepting()
+            await drain(inFlight, shutdownTimeout)
+            s.close()
+            self.connectionCounts.delete(connections)
+            removeSignalListeners()
+            for (const hook of self.shutdownHooks) await hook()
+        }
+
+        const signals: Deno.Signal[] = Deno.build.os === "windows" ? ["SIGINT"] : ["SIGINT", "SIGTERM"]
+        const onSignal = () => close().then(() => Deno.exit(0))
+        function removeSignalListeners() {
+            if (!handleSignals) return
+            for (const signal of signals) Deno.removeSignalListener(signal, onSignal)
+        }
+        if (handleSignals) {
+            for (const signal of signals) Deno.addSignalListener(signal, onSignal)
+        }
+
+        start()
+        return {port, close}
+    }
+
+    // Connections currently open on all listening servers.
+    openConnections(): number {
+        let count = 0
+        for (const connections of this.connectionCounts) count += connections()
+        return count
+    }
+
+    // Adds request metrics and serves them, with the open connections, in
+    // the Prometheus text format. Call it before adding other middlewares
+    // so their requests are measured too. Returns the registry, to add
+    // application metrics to.
+    metrics(options: MetricsOptions = {}): Metrics {
+        const {path = "/metrics"} = options
+        const metrics = new Metrics()
+        this.use(httpMetrics(metrics, options))
+        metrics.gauge("http_open_connections", "Open client connections.", () => this.openConnections())
+        this.get(path, (req, res) => {
+            res.headers.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8")
+            res.body = metrics.render()
+        })
+        return metrics
+    }
+
+    // Adds liveness and readiness routes answering with the JSON result of
+    // their checks. Readiness fails as soon as shutdown begins, so load
+    // balancers stop sending traffic while in-flight requests drain.
+    health(options: HealthOptions = {}): void {
+        const {livePath = "/healthz", readyPath = "/readyz", live = {}, ready = {}, timeout = 2000} = options
+        this.get(livePath, healthHandler(live, timeout))
+        this.get(readyPath, healthHandler(ready, timeout, () => this.shuttingDown && "shutting down"))
+    }
+
+    // Registers a hook run by close() once all connections are closed.
+    onShutdown(hook: () => Promise<void> | void): void {
+        this.shutdownHooks.push(hook)
+    }
+
+    private async serve(httpRequest: http.ServerRequest, options: ListenOptions): Promise<void> {
+        const req = new Request(httpRequest)
+        if (options.maxBodySize !== undefined) req.maxBodySize = options.maxBodySize
+        const res = new Response(req)
+        // error handlers and finish hooks see the request's context too
+        await req.context.run(() => this.respond(httpRequest, req, res, options))
+    }
+
+    private async respond(
+        httpRequest: http.ServerRequest,
+        req: Request,
+        res: Response,
+        options: ListenOptions,
+    ): Promise<void> {
+        const {requestTimeout, timeoutStatus = 503} = options
+        const unwatch = onClientClose(httpRequest.conn, () => {
+            req.abort(new Deno.errors.ConnectionAborted("client disconnected"))
+        })
+        try {
+            const handle = () => this.handle(req, res, () => this.notFound(req, res))
+            if (requestTimeout === undefined) await handle()
+            else await runWithTimeout(req, requestTimeout, timeoutStatus, handle)
+        } catch (e) {
+            try {
+                await runErrorHandlers(this.errorHandlers, 0, e, req, res)
+            } catch (e) {
+                // an error handler failed itself
+                defaultErrorHandler(e, req, res, async () => {})
+            }
+        } finally {
+            unwatch()
+        }
+        try {
+            await httpRequest.respond(res.toHttpResponse(req.method === "HEAD"))
+        } catch {
+            // the connection was closed before the response was written
+        } finally {
+            res.close()
+            res.finish()
+        }
+    }
+
+    // Nothing responded: 405 if the path has routes for other methods.
+    private async notFound(req: Request, res: Response): Promise<void> {
+        const allowed = allowedMethods(this.allowed(req.path))
+        if (!allowed.length) {
+            res.status = 404 // no route matches the path
+            return
+        }
+        res.headers.set("Allow", allowed.join(", "))
+        res.empty(req.method === "OPTIONS" ? 204 : 405)
+    }
+}
+
+// Resolves once every in-flight request is done or after timeout ms.
+function drain(inFlight: Set<Promise<void>>, timeout: number): Promise<void> {
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, timeout)
+        Promise.all(inFlight).then(() => {
+            clearTimeout(timer)
+            resolve()
+        })
+    })
+}
+
+async function runErrorHandlers(
+    hs: ErrorHandler[],
+    index: number,
+    err: any,
+    req: Request,
+    res: Response,
+): Promise<void> {
+    const handler = index < hs.length ? hs[index] : defaultErrorHandler
+    await handler(err, req, res, () => {
+        return runErrorHandlers(hs, index + 1, err, req, res)
+    })
+}
+
+const METHODS: Method[] = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"]
+
+function allowedMethods(registered: Method[]): Method[] {
+    if (!registered.length) return []
+    const allowed = new Set(registered)
+    if (allowed.has("GET")) allowed.add("HEAD")
+    allowed.add("OPTIONS")
+    return METHODS.filter((m) => allowed.has(m))
+}
+
+
+export const bodyParser = {
+    json(): Middleware {
+        return async (req, res, next) => {
+            if (req.headers.get("Content-Type") === "application/json") {
+                try {
+                    req.data = await req.json()
+                } catch (e) {
+                    // console.error("json: ", e.message)
+                    res.status = e.status || 400
+                    req.error = e.message
+                    return
+                }
+            }
+            await next()
+        }
+    },
+    urlencoded(): Middleware {
+        return async (req, res, next) => {
+            if (
+                req.headers.get("Content-Type") === "application/x-www-form-urlencoded"
+            ) {
+                try {
+                    const text = await req.text()
+                    const data: any = {}
+                    for (let s of text.split("&")) {
+                        const result = /^(.+?)=(.*)$/.exec(s)
+                        if (result !== null) {
+                            if (result.length < 3) continue
+                            const key = decodeURIComponent(result[1].replace("+", " "))
+                            const value = decodeURIComponent(result[2].replace("+", " "))
+                            if (Array.isArray(data[key])) data[key] = [...data[key], value]
+                            else if (data[key]) data[key] = [data[key], value]
+                            else data[key] = value
+                        }
+                    }
+                    req.data = data
+                } catch (e) {
+                    console.error("urlencoded: ", e.message)
+                    res.status = e.status || 400
+                    req.error = e.message
+                    return
+                }
+            }
+            await next()
+        }
+    },
+    multipart(options: MultipartOptions = {}): Middleware {
+        return async (req, res, next) => {
+            const type = req.headers.get("Content-Type") || ""
+            if (type.split(";")[0].trim().toLowerCase() === "multipart/form-data") {
+                try {
+                    const {data, files} = await parseMultipart(req, res, options)
+                    req.data = data
+                    req.files = files
+                } catch (e) {
+                    res.status = e.status || 400
+                    req.error = e.message
+                    return
+                }
+            }
+            await next()
+        }
+    },
+}
+
+export {simpleLog} from "./src/functions/simpleLog.ts"
+export {accessLog} from "./src/functions/accessLog.ts"
+export {RotatingFileWriter} from "./src/RotatingFileWriter.ts"
+export {defaultErrorHandler}
+export {compression} from "./src/functions/compression.ts"
+export {cors} from "./src/functions/cors.ts"
+export {securityHeaders} from "./src/functions/securityHeaders.ts"
+export {cookieParser} from "./src/functions/cookies.ts"
+export {session} from "./src/functions/session.ts"
+export {Session} from "./src/Session.ts"
+export {MemorySessionStore} from "./src/MemorySessionStore.ts"
+export {KvSessionStore} from "./src/KvSessionStore.ts"
+export {rateLimit} from "./src/functions/rateLimit.ts"
+export {MemoryRateLimitStore} from "./src/MemoryRateLimitStore.ts"
+export {static_} from "./src/functions/static.ts"
+export {FileCache} from "./src/FileCache.ts"
+export {Request}
+export {Counter, Gauge, Histogram, Metrics}
+export {httpMetrics}
+export {timeout} from "./src/functions/timeout.ts"
+export {RequestContext} from "./src/RequestContext.ts"
+export {requestId} from "./src/functions/requestId.ts"
+export {HttpError} from "./src/HttpError.ts"
+export {Response}
+export {simplePathMatcher}
+export {Router}
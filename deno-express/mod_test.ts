@@ -0,0 +1,63 @@
+import {assertEquals} from "./test_deps.ts"
+import {App, Router} from "./mod.ts"
+
+// Serves app on a local port for the duration of fn.
+async function withServer(app: App, fn: (url: string) => Promise<void>) {
+    const server = await app.listen(18417)
+    try {
+        await fn("http://127.0.0.1:18417")
+    } finally {
+        await server.close()
+    }
+}
+
+async function request(url: string, method = "GET") {
+    const res = await fetch(url, {method})
+    const body = await res.text()
+    return {status: res.status, allow: res.headers.get("Allow"), length: res.headers.get("Content-Length"), body}
+}
+
+function app() {
+    const app = new App()
+    app.get("/items/{id:\\d+}", (req, res) => res.send("item " + req.params.id))
+    app.delete("/items/{id:\\d+}", (req, res) => res.empty(204))
+    app.post("/items/{slug}", (req, res) => res.empty(201))
+    const api = new Router()
+    api.put("/users/{id}", (req, res) => res.empty(204))
+    app.use("/api", api)
+    return app
+}
+
+Deno.test("App answers 405 with Allow for other methods", () => withServer(app(), async (url) => {
+    const res = await request(url + "/items/1", "PUT")
+    assertEquals(res.status, 405)
+    assertEquals(res.allow, "GET, HEAD, POST, DELETE, OPTIONS")
+}))
+
+Deno.test("App only allows the methods of routes whose constraints match", () => withServer(app(), async (url) => {
+    const res = await request(url + "/items/abc", "GET")
+    assertEquals(res.status, 405)
+    assertEquals(res.allow, "POST, OPTIONS")
+}))
+
+Deno.test("App answers OPTIONS with 204 and Allow", () => withServer(app(), async (url) => {
+    const res = await request(url + "/items/1", "OPTIONS")
+    assertEquals(res.status, 204)
+    assertEquals(res.allow, "GET, HEAD, POST, DELETE, OPTIONS")
+}))
+
+Deno.test("App includes routes of mounted routers in Allow", () => withServer(app(), async (url) => {
+    let res = await request(url + "/api/users/1", "GET")
+    assertEquals(res.status, 405)
+    assertEquals(res.allow, "PUT, OPTIONS")
+    res = await request(url + "/api/missing", "GET")
+    assertEquals(res.status, 404)
+    assertEquals(res.allow, null)
+}))
+
+Deno.test("App answers HEAD with the headers of GET and no body", () => withServer(app(), async (url) => {
+    const res = await request(url + "/items/7", "HEAD")
+    assertEquals(res.status, 200)
+    assertEquals(res.length, "6")
+    assertEquals(res.body, "")
+}))
@@ -0,0 +1,42 @@
+// A Map whose entries expire ttl ms after they were set. Expired entries are
+// dropped when read and swept now and then on writes; a timer would keep the
+// process alive.
+export class ExpiringMap<V> {
+    private entries = new Map<string, { value: V, expires: number }>()
+    private lastSweep = Date.now()
+
+    constructor(private sweepInterval = 60 * 1000) {}
+
+    get(key: string, now = Date.now()): V | undefined {
+        const entry = this.entries.get(key)
+        if (!entry) return undefined
+        if (entry.expires <= now) {
+            this.entries.delete(key)
+            return undefined
+        }
+        return entry.value
+    }
+
+    set(key: string, value: V, ttl: number, now = Date.now()): void {
+        this.sweep(now)
+        this.entries.set(key, {value, expires: now + ttl})
+    }
+
+    delete(key: string): void {
+        this.entries.delete(key)
+    }
+
+    // Extends the ttl of an entry that hasn't expired yet.
+    touch(key: string, ttl: number, now = Date.now()): void {
+        const entry = this.entries.get(key)
+        if (entry && entry.expires > now) entry.expires = now + ttl
+    }
+
+    private sweep(now: number): void {
+        if (now - this.lastSweep < this.sweepInterval) return
+        this.lastSweep = now
+        for (const [key, entry] of this.entries) {
+            if (entry.expires <= now) this.entries.delete(key)
+        }
+    }
+}
@@ -0,0 +1,33 @@
+import {assertEquals} from "../test_deps.ts"
+import {ExpiringMap} from "./ExpiringMap.ts"
+
+Deno.test("ExpiringMap forgets entries once their ttl passed", () => {
+    const map = new ExpiringMap<number>()
+    map.set("a", 1, 100, 1000)
+    assertEquals(map.get("a", 1099), 1)
+    assertEquals(map.get("a", 1100), undefined)
+    // gone for good, not only hidden
+    assertEquals(map.get("a", 1000), undefined)
+})
+
+Deno.test("ExpiringMap touch extends live entries only", () => {
+    const map = new ExpiringMap<number>()
+    map.set("a", 1, 100, 1000)
+    map.touch("a", 100, 1050)
+    assertEquals(map.get("a", 1120), 1)
+    map.set("b", 2, 100, 1000)
+    map.touch("b", 100, 1100)
+    assertEquals(map.get("b", 1150), undefined)
+})
+
+Deno.test("ExpiringMap sweeps expired entries on writes", () => {
+    const map = new ExpiringMap<number>(0)
+    const now = Date.now()
+    map.set("a", 1, 10, now)
+    map.set("b", 2, 100, now + 50)
+    // a was swept, so it can't be read even with an earlier time
+    assertEquals(map.get("a", now), undefined)
+    assertEquals(map.get("b", now + 100), 2)
+    map.delete("b")
+    assertEquals(map.get("b", now + 100), undefined)
+})
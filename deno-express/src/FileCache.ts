@@ -0,0 +1,145 @@
+import {FileCacheOptions} from "../types/interfaces/FileCacheOptions.ts"
+import {path} from "../deps.ts"
+import {fileEtag} from "./functions/conditional.ts"
+
+type Transform = (src: string) => string
+
+export interface CachedFile {
+    // the resolved path the entry is cached under
+    key: string;
+    info: Deno.FileInfo;
+    etag: string;
+    bytes: Uint8Array;
+    transformed: Map<Transform, Uint8Array>;
+    size: number;
+}
+
+// Keeps the contents of small files in memory, along with their stat, ETag
+// and transformed versions. The Map's insertion order is the LRU order.
+export class FileCache {
+    private entries = new Map<string, CachedFile>()
+    // reads in progress, concurrent misses of a file wait for the same one
+    private loading = new Map<string, Promise<CachedFile | null>>()
+    private size = 0
+    private disabled = false
+    private watchers = new Map<string, Deno.FsWatcher>()
+    readonly maxSize: number
+    readonly watching: boolean
+
+    constructor(options: FileCacheOptions = {}) {
+        this.maxSize = options.maxSize ?? 16 * 1024 * 1024
+        this.watching = options.watch ?? true
+    }
+
+    has(filePath: string): boolean {
+        return this.entries.has(path.resolve(filePath))
+    }
+
+    // Returns the cached file, reading it on a miss. Returns null for files
+    // that are not regular files or too large to be cached.
+    async get(filePath: string): Promise<CachedFile | null> {
+        if (this.disabled) return null
+        const key = path.resolve(filePath)
+        const hit = this.entries.get(key)
+        if (hit) {
+            this.entries.delete(key)
+            this.entries.set(key, hit)
+            return hit
+        }
+        let load = this.loading.get(key)
+        if (load) return load
+        load = (async () => {
+            const entry = await this.read(key)
+            // not if the file changed while it was read, it may be stale
+            if (entry && this.loading.get(key) === load && !this.disabled) {
+                this.remove(key)
+                this.entries.set(key, entry)
+                this.size += entry.size
+                this.evict()
+            }
+            return entry
+        })().finally(() => {
+            if (this.loading.get(key) === load) this.loading.delete(key)
+        })
+        this.loading.set(key, load)
+        return load
+    }
+
+    // Returns the file transformed, running the transform only once.
+    transform(entry: CachedFile, transform: Transform): Uint8Array {
+        let bytes = entry.transformed.get(transform)
+        if (bytes) return bytes
+        bytes = new TextEncoder().encode(transform(new TextDecoder().decode(entry.bytes)))
+        entry.transformed.set(transform, bytes)
+        entry.size += bytes.byteLength
+        // entries that were evicted or never inserted aren't counted
+        if (this.entries.get(entry.key) === entry) {
+            this.size += bytes.byteLength
+            this.evict()
+        }
+        return bytes
+    }
+
+    // Drops the file, or everything below it if it is a directory.
+    delete(filePath: string): void {
+        const key = path.resolve(filePath)
+        const below = (k: string) => k === key || k.startsWith(key + path.SEP)
+        for (const k of this.entries.keys()) {
+            if (below(k)) this.remove(k)
+        }
+        for (const k of this.loading.keys()) {
+            if (below(k)) this.loading.delete(k)
+        }
+    }
+
+    clear(): void {
+        this.entries.clear()
+        this.loading.clear()
+        this.size = 0
+    }
+
+    // Invalidates entries below dir whenever something there changes.
+    watch(dir: string): void {
+        const root = path.resolve(dir)
+        if (!this.watching || this.watchers.has(root)) return
+        const watcher = Deno.watchFs(root, {recursive: true})
+        this.watchers.set(root, watcher)
+        ;(async () => {
+            for await (const event of watcher) {
+                for (const changed of event.paths) this.delete(changed)
+            }
+        })().catch((e) => {
+            // entries can't be trusted without a watcher, stop caching
+            console.error("file cache: ", e.message)
+            this.disabled = true
+            this.clear()
+        })
+    }
+
+    // Stops the watchers, so they don't keep the process alive.
+    close(): void {
+        for (const watcher of this.watchers.values()) watcher.close()
+        this.watchers.clear()
+    }
+
+    private async read(key: string): Promise<CachedFile | null> {
+        const info = await Deno.stat(key)
+        if (!info.isFile || info.size > this.maxSize) return null
+        const bytes = await Deno.readFile(key)
+        return {key, info, etag: fileEtag(info), bytes, transformed: new Map(), size: bytes.byteLength}
+    }
+
+    private remove(key: string): void {
+        const entry = this.entries.get(key)
+        if (!entry) return
+        this.entries.delete(key)
+        this.size -= entry.size
+    }
+
+    private evict(): void {
+        for (const key of this.entries.keys()) {
+            if (this.size <= this.maxSize) break
+            this.remove(key)
+        }
+    }
+}
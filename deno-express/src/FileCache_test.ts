@@ -0,0 +1,85 @@
+import {assert, assertEquals} from "../test_deps.ts"
+import {withTempDir} from "../test_util.ts"
+import {FileCache} from "./FileCache.ts"
+
+Deno.test("FileCache reads a file once for concurrent misses", () => withTempDir({
+    "a.txt": "aaaaaa",
+    "b.txt": "bbbb",
+}, async (dir) => {
+    const cache = new FileCache({maxSize: 10, watch: false})
+    const [first, second, third] = await Promise.all([
+        cache.get(dir + "/a.txt"),
+        cache.get(dir + "/a.txt"),
+        cache.get(dir + "/a.txt"),
+    ])
+    assert(first && first === second && first === third)
+    // a counted once, so b still fits next to it
+    await cache.get(dir + "/b.txt")
+    assert(cache.has(dir + "/a.txt"))
+    assert(cache.has(dir + "/b.txt"))
+}))
+
+Deno.test("FileCache evicts the least recently used files", () => withTempDir({
+    "a.txt": "aaaa",
+    "b.txt": "bbbb",
+    "c.txt": "cccc",
+}, async (dir) => {
+    const cache = new FileCache({maxSize: 8, watch: false})
+    await cache.get(dir + "/a.txt")
+    await cache.get(dir + "/b.txt")
+    await cache.get(dir + "/a.txt")
+    await cache.get(dir + "/c.txt")
+    assert(cache.has(dir + "/a.txt"))
+    assert(!cache.has(dir + "/b.txt"))
+    assert(cache.has(dir + "/c.txt"))
+}))
+
+Deno.test("FileCache doesn't cache files deleted while being read", () => withTempDir({
+    "a.txt": "a",
+}, async (dir) => {
+    const cache = new FileCache({watch: false})
+    const load = cache.get(dir + "/a.txt")
+    cache.delete(dir)
+    assertEquals(new TextDecoder().decode((await load)!.bytes), "a")
+    assert(!cache.has(dir + "/a.txt"))
+}))
+
+Deno.test("FileCache skips files larger than maxSize and transforms once", () => withTempDir({
+    "big.txt": "x".repeat(20),
+    "a.txt": "a",
+}, async (dir) => {
+    const cache = new FileCache({maxSize: 10, watch: false})
+    assertEquals(await cache.get(dir + "/big.txt"), null)
+    const entry = (await cache.get(dir + "/a.txt"))!
+    let runs = 0
+    const upper = (s: string) => {
+        runs++
+        return s.toUpperCase()
+    }
+    assertEquals(new TextDecoder().decode(cache.transform(entry, upper)), "A")
+    cache.transform(entry, upper)
+    assertEquals(runs, 1)
+}))
+
+Deno.test("FileCache only counts transforms of cached entries", () => withTempDir({
+    "a.txt": "aaaa",
+    "b.txt": "bbbbb",
+    "c.txt": "ccccc",
+}, async (dir) => {
+    const cache = new FileCache({maxSize: 10, watch: false})
+    const double = (s: string) => s + s
+    // deleted while being read, so never inserted
+    const load = cache.get(dir + "/a.txt")
+    cache.delete(dir + "/a.txt")
+    const uncached = (await load)!
+    cache.transform(uncached, double)
+    await cache.get(dir + "/b.txt")
+    await cache.get(dir + "/c.txt")
+    assert(cache.has(dir + "/b.txt") && cache.has(dir + "/c.txt"))
+    // dropped from the cache, then transformed
+    const dropped = (await cache.get(dir + "/b.txt"))!
+    cache.delete(dir + "/b.txt")
+    cache.transform(dropped, double)
+    await cache.get(dir + "/b.txt")
+    assert(cache.has(dir + "/b.txt") && cache.has(dir + "/c.txt"))
+}))
@@ -0,0 +1,9 @@
+import {STATUS_TEXT} from "../deps.ts"
+
+// An error carrying the HTTP status the default error handler responds with.
+export class HttpError extends Error {
+    constructor(public status: number, message?: string) {
+        super(message || STATUS_TEXT.get(status) || "HTTP error " + status)
+        this.name = "HttpError"
+    }
+}
@@ -0,0 +1,21 @@
+import {SessionData, SessionStore} from "../types/interfaces/SessionStore.ts"
+
+// Keeps sessions in a Deno.Kv database, shared by every instance using it.
+// Kv deletes expired keys only eventually, so the expiry is checked on read.
+export class KvSessionStore implements SessionStore {
+    constructor(private kv: Deno.Kv, private prefix: Deno.KvKey = ["sessions"]) {}
+
+    async get(id: string): Promise<SessionData | null> {
+        const entry = await this.kv.get<{ data: SessionData, expires: number }>([...this.prefix, id])
+        if (!entry.value || entry.value.expires <= Date.now()) return null
+        return entry.value.data
+    }
+
+    async set(id: string, data: SessionData, ttl: number): Promise<void> {
+        await this.kv.set([...this.prefix, id], {data, expires: Date.now() + ttl}, {expireIn: ttl})
+    }
+
+    async delete(id: string): Promise<void> {
+        await this.kv.delete([...this.prefix, id])
+    }
+}
@@ -0,0 +1,15 @@
+import {RateLimitStore} from "../types/interfaces/RateLimitStore.ts"
+import {ExpiringMap} from "./ExpiringMap.ts"
+
+// Keeps rate limit state in the process, limits are per instance.
+export class MemoryRateLimitStore implements RateLimitStore {
+    private entries = new ExpiringMap<unknown>()
+
+    // synchronous inside, so updates of a key never interleave
+    async update<S, R>(key: string, ttl: number, fn: (state: S | undefined) => [S, R]): Promise<R> {
+        const now = Date.now()
+        const [state, result] = fn(this.entries.get(key, now) as S | undefined)
+        this.entries.set(key, state, ttl, now)
+        return result
+    }
+}
@@ -0,0 +1,26 @@
+import {SessionData, SessionStore} from "../types/interfaces/SessionStore.ts"
+import {ExpiringMap} from "./ExpiringMap.ts"
+
+// Keeps sessions in the process; they are lost on restart and not shared
+// between instances.
+export class MemorySessionStore implements SessionStore {
+    private sessions = new ExpiringMap<string>()
+
+    async get(id: string): Promise<SessionData | null> {
+        const json = this.sessions.get(id)
+        // a copy, so changes only count once saved
+        return json === undefined ? null : JSON.parse(json)
+    }
+
+    async set(id: string, data: SessionData, ttl: number): Promise<void> {
+        this.sessions.set(id, JSON.stringify(data), ttl)
+    }
+
+    async delete(id: string): Promise<void> {
+        this.sessions.delete(id)
+    }
+
+    async touch(id: string, ttl: number): Promise<void> {
+        this.sessions.touch(id, ttl)
+    }
+}
@@ -0,0 +1,25 @@
+import {assertEquals} from "../test_deps.ts"
+import {MemorySessionStore} from "./MemorySessionStore.ts"
+
+Deno.test("MemorySessionStore forgets sessions once their ttl passed", async () => {
+    const store = new MemorySessionStore()
+    await store.set("a", {user: "alice"}, 20)
+    await store.set("b", {user: "bob"}, 1000)
+    assertEquals(await store.get("a"), {user: "alice"})
+    await new Promise((resolve) => setTimeout(resolve, 40))
+    assertEquals(await store.get("a"), null)
+    // expired sessions can't be brought back by touching them
+    await store.touch("a", 1000)
+    assertEquals(await store.get("a"), null)
+    assertEquals(await store.get("b"), {user: "bob"})
+})
+
+Deno.test("MemorySessionStore hands out copies of the data", async () => {
+    const store = new MemorySessionStore()
+    await store.set("a", {items: [1]}, 1000)
+    const data = (await store.get("a"))!
+    data.items.push(2)
+    assertEquals(await store.get("a"), {items: [1]})
+    await store.delete("a")
+    assertEquals(await store.get("a"), null)
+})
@@ -0,0 +1,151 @@
+type Labels = { [name: string]: string }
+
+interface Series<T> {
+    labels: Labels;
+    value: T;
+}
+
+interface HistogramValue {
+    counts: number[];
+    sum: number;
+    count: number;
+}
+
+interface Metric {
+    name: string;
+    help: string;
+    type: "counter" | "gauge" | "histogram";
+    lines(): string[];
+}
+
+export class Counter implements Metric {
+    readonly type = "counter"
+    private series = new Map<string, Series<number>>()
+
+    constructor(readonly name: string, readonly help: string) {}
+
+    inc(labels: Labels = {}, value = 1): void {
+        const key = labelKey(labels)
+        const series = this.series.get(key)
+        if (series) series.value += value
+        else this.series.set(key, {labels, value})
+    }
+
+    lines(): string[] {
+        return [...this.series.values()].map((s) => sample(this.name, s.labels, s.value))
+    }
+}
+
+// A value that goes up and down, either set directly or read on render.
+export class Gauge implements Metric {
+    readonly type = "gauge"
+    private series = new Map<string, Series<number>>()
+
+    constructor(readonly name: string, readonly help: string, private collect?: () => number) {}
+
+    set(labels: Labels, value: number): void {
+        this.series.set(labelKey(labels), {labels, value})
+    }
+
+    inc(labels: Labels = {}, value = 1): void {
+        const series = this.series.get(labelKey(labels))
+        this.set(labels, (series ? series.value : 0) + value)
+    }
+
+    dec(labels: Labels = {}, value = 1): void {
+        this.inc(labels, -value)
+    }
+
+    lines(): string[] {
+        if (this.collect) return [sample(this.name, {}, this.collect())]
+        return [...this.series.values()].map((s) => sample(this.name, s.labels, s.value))
+    }
+}
+
+export class Histogram implements Metric {
+    readonly type = "histogram"
+    private series = new Map<string, Series<HistogramValue>>()
+
+    constructor(readonly name: string, readonly help: string, readonly buckets: number[]) {
+        this.buckets = [...buckets].sort((a, b) => a - b)
+    }
+
+    observe(labels: Labels, value: number): void {
+        const key = labelKey(labels)
+        let series = this.series.get(key)
+        if (!series) {
+            series = {labels, value: {counts: this.buckets.map(() => 0), sum: 0, count: 0}}
+            this.series.set(key, series)
+        }
+        const i = this.buckets.findIndex((bound) => value <= bound)
+        if (i !== -1) series.value.counts[i]++
+        series.value.sum += value
+        series.value.count++
+    }
+
+    lines(): string[] {
+        const lines: string[] = []
+        for (const {labels, value} of this.series.values()) {
+            // buckets are cumulative in the exposition format
+            let cumulative = 0
+            this.buckets.forEach((bound, i) => {
+                cumulative += value.counts[i]
+                lines.push(sample(this.name + "_bucket", {...labels, le: bound + ""}, cumulative))
+            })
+            lines.push(sample(this.name + "_bucket", {...labels, le: "+Inf"}, value.count))
+            lines.push(sample(this.name + "_sum", labels, value.sum))
+            lines.push(sample(this.name + "_count", labels, value.count))
+        }
+        return lines
+    }
+}
+
+// A registry of metrics rendered in the Prometheus text exposition format.
+export class Metrics {
+    private metrics = new Map<string, Metric>()
+
+    counter(name: string, help: string): Counter {
+        return this.register(new Counter(name, help))
+    }
+
+    gauge(name: string, help: string, collect?: () => number): Gauge {
+        return this.register(new Gauge(name, help, collect))
+    }
+
+    histogram(name: string, help: string, buckets: number[]): Histogram {
+        return this.register(new Histogram(name, help, buckets))
+    }
+
+    render(): string {
+        let text = ""
+        for (const metric of this.metrics.values()) {
+            text += `# HELP ${metric.name} ${escape(metric.help)}\n`
+            text += `# TYPE ${metric.name} ${metric.type}\n`
+            for (const line of metric.lines()) text += line + "\n"
+        }
+        return text
+    }
+
+    private register<T extends Metric>(metric: T): T {
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(metric.name)) {
+            throw new Error(`invalid metric name: ${metric.name}`)
+        }
+        if (this.metrics.has(metric.name)) throw new Error(`duplicated metric: ${metric.name}`)
+        this.metrics.set(metric.name, metric)
+        return metric
+    }
+}
+
+function labelKey(labels: Labels): string {
+    return JSON.stringify(Object.keys(labels).sort().map((k) => [k, labels[k]]))
+}
+
+function sample(name: string, labels: Labels, value: number): string {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escape(v).replace(/"/g, "\\\"")}"`)
+    const formatted = Number.isFinite(value) ? value + "" : value > 0 ? "+Inf" : value < 0 ? "-Inf" : "NaN"
+    return pairs.length ? `${name}{${pairs.join(",")}} ${formatted}` : `${name} ${formatted}`
+}
+
+function escape(text: string): string {
+    return text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")
+}
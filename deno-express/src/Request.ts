@@ -0,0 +1,145 @@
+import {Method, Params, Query} from "../types/index.ts"
+import {UploadedFile} from "../types/interfaces/UploadedFile.ts"
+import {HttpError} from "./HttpError.ts"
+import {RequestContext} from "./RequestContext.ts"
+import {Session} from "./Session.ts"
+import {readStream} from "./functions/streams.ts"
+import {parseCookies} from "./functions/cookies.ts"
+import {preferredEncodings, preferredLanguages, preferredMediaTypes} from "./functions/negotiation.ts"
+
+export class Request {
+    get method(): Method {
+      return this.raw.method;
+    }
+
+    get url(): string {
+      return this.raw.url;
+    }
+
+    get headers(): Headers {
+      return this.raw.headers;
+    }
+
+    path: string;
+    // part of the path matched by the prefixes of mounted routers
+    baseUrl = "";
+    search: string;
+    query: Query;
+    params: Params = {};
+    data: any;
+    files: { [name: string]: UploadedFile | UploadedFile[] } = {};
+    error?: Error;
+    extra: any = {};
+    context = new RequestContext();
+    // bodies larger than this are rejected with 413
+    maxBodySize = 1024 * 1024;
+    bodyUsed = false;
+    // body bytes read so far
+    bytesReceived = 0;
+    // set by the session middleware
+    session?: Session;
+    // verified values of signed cookies, filled by cookieParser
+    signedCookies: { [name: string]: string } = {};
+    private bytes?: Promise<Uint8Array>;
+    private parsedCookies?: { [name: string]: string };
+    private abortController = new AbortController();
+
+    constructor(public raw: any) {
+      const url = new URL("http://a.b" + raw.url);
+      this.path = url.pathname;
+      this.search = url.search;
+      const query: Query = {};
+      for (const [k, v] of new URLSearchParams(url.search) as any) {
+        if (Array.isArray(query[k])) query[k] = [...query[k], v];
+        else if (typeof query[k] === "string") query[k] = [query[k], v];
+        else query[k] = v;
+      }
+      this.query = query;
+    }
+
+    // Cookies of the Cookie header, signed ones with their signature.
+    get cookies(): { [name: string]: string } {
+      if (!this.parsedCookies) this.parsedCookies = parseCookies(this.headers.get("Cookie"));
+      return this.parsedCookies;
+    }
+
+    // Aborted when handling timed out or the client disconnected, with the
+    // reason as the signal's reason.
+    get signal(): AbortSignal {
+      return this.abortController.signal;
+    }
+
+    abort(reason?: any): void {
+      this.abortController.abort(reason);
+    }
+
+    // The best of the given types for the Accept header, or false if none
+    // is acceptable. Without arguments, all accepted types by preference.
+    accepts(): string[];
+    accepts(...types: string[]): string | false;
+    accepts(...types: string[]): string[] | string | false {
+      const accepted = preferredMediaTypes(this.headers.get("Accept"), types);
+      return types.length ? accepted[0] || false : accepted;
+    }
+
+    acceptsLanguages(): string[];
+    acceptsLanguages(...languages: string[]): string | false;
+    acceptsLanguages(...languages: string[]): string[] | string | false {
+      const accepted = preferredLanguages(this.headers.get("Accept-Language"), languages);
+      return languages.length ? accepted[0] || false : accepted;
+    }
+
+    acceptsEncodings(): string[];
+    acceptsEncodings(...encodings: string[]): string | false;
+    acceptsEncodings(...encodings: string[]): string[] | string | false {
+      const accepted = preferredEncodings(this.headers.get("Accept-Encoding"), encodings);
+      return encodings.length ? accepted[0] || false : accepted;
+    }
+
+    // Streams the body, failing with 413 once it grows past maxBodySize.
+    stream(): ReadableStream<Uint8Array> {
+      const max = this.maxBodySize;
+      const length = this.raw.contentLength as number | null;
+      // the body wasn't touched, asking again gets the same 413
+      if (length !== null && length > max) throw new HttpError(413);
+      if (this.bodyUsed) throw new TypeError("body already used");
+      this.bodyUsed = true;
+      const reader: Deno.Reader = this.raw.body;
+      return new ReadableStream({
+        pull: async (controller) => {
+          const buf = new Uint8Array(16 * 1024);
+          const n = await reader.read(buf);
+          if (n === null) return controller.close();
+          this.bytesReceived += n;
+          if (this.bytesReceived > max) return controller.error(new HttpError(413));
+          controller.enqueue(buf.subarray(0, n));
+        },
+      });
+    }
+
+    arrayBuffer(): Promise<ArrayBuffer> {
+      return this.readAll().then((bytes) => bytes.slice().buffer);
+    }
+
+    text(): Promise<string> {
+      return this.readAll().then((bytes) => new TextDecoder().decode(bytes));
+    }
+
+    async json(): Promise<any> {
+      const text = await this.text();
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        throw new HttpError(400, "invalid JSON body: " + e.message);
+      }
+    }
+
+    // The body is read once; text, json and arrayBuffer share the bytes, or
+    // the error reading it failed with.
+    private readAll(): Promise<Uint8Array> {
+      if (!this.bytes) {
+        this.bytes = (async () => readStream(this.stream()))();
+      }
+      return this.bytes;
+    }
+  }
@@ -0,0 +1,40 @@
+import {AsyncLocalStorage} from "../deps.ts"
+
+const storage = new AsyncLocalStorage<RequestContext>()
+
+// State of a single request, reachable as req.context or, from any code
+// running on behalf of the request, as RequestContext.current().
+export class RequestContext {
+    // set by the requestId middleware
+    id = ""
+    // response header the id is echoed in
+    idHeader = "X-Request-Id"
+    readonly startTime = Date.now()
+    user?: any
+    // nonce for inline scripts and styles, set by securityHeaders
+    cspNonce?: string
+    private values = new Map<string, unknown>()
+
+    get<T = unknown>(key: string): T | undefined {
+        return this.values.get(key) as T | undefined
+    }
+
+    set<T>(key: string, value: T): void {
+        this.values.set(key, value)
+    }
+
+    has(key: string): boolean {
+        return this.values.has(key)
+    }
+
+    // The context of the request the calling code runs for, if any.
+    static current(): RequestContext | undefined {
+        return storage.getStore()
+    }
+
+    // Runs fn with this context as the current one, including everything
+    // fn awaits or schedules.
+    run<T>(fn: () => T): T {
+        return storage.run(this, fn)
+    }
+}
@@ -0,0 +1,43 @@
+import {assertEquals, assertThrows, assertThrowsAsync} from "../test_deps.ts"
+import {fakeRequest} from "../test_util.ts"
+import {HttpError} from "./HttpError.ts"
+
+Deno.test("request bodies are read once and shared", async () => {
+    const {req} = fakeRequest("POST", "/", {}, "{\"a\":1}")
+    assertEquals(await req.text(), "{\"a\":1}")
+    assertEquals(await req.json(), {a: 1})
+    assertThrows(() => req.stream(), TypeError)
+})
+
+Deno.test("too large bodies reject every read with 413", async () => {
+    const {req} = fakeRequest("POST", "/", {}, "x".repeat(100))
+    req.maxBodySize = 10
+    for (let i = 0; i < 2; i++) {
+        const error = await assertThrowsAsync(() => req.text(), HttpError)
+        assertEquals((error as HttpError).status, 413)
+    }
+    const error = await assertThrowsAsync(() => req.json(), HttpError)
+    assertEquals((error as HttpError).status, 413)
+    assertThrows(() => req.stream(), HttpError)
+})
+
+Deno.test("bodies without a length are cut off at maxBodySize", async () => {
+    const {req} = fakeRequest("POST", "/", {}, "x".repeat(100))
+    req.raw.contentLength = null
+    req.maxBodySize = 10
+    const error = await assertThrowsAsync(() => req.arrayBuffer(), HttpError)
+    assertEquals((error as HttpError).status, 413)
+    await assertThrowsAsync(() => req.text(), HttpError)
+})
+
+Deno.test("invalid JSON bodies are a 400", async () => {
+    const {req} = fakeRequest("POST", "/", {}, "{")
+    const error = await assertThrowsAsync(() => req.json(), HttpError)
+    assertEquals((error as HttpError).status, 400)
+})
+
+Deno.test("query parameters repeated become lists", () => {
+    const {req} = fakeRequest("GET", "/p?a=1&a=2&b=3")
+    assertEquals(req.path, "/p")
+    assertEquals(req.query, {a: ["1", "2"], b: "3"})
+})
@@ -0,0 +1,292 @@
+import {EndHandler, Json} from "../types/index.ts"
+import {http, lookup, path} from "../deps.ts"
+import {Request} from "./Request.ts"
+import {ByteRange, fileEtag, ifRangeMatches, isFresh, parseRange} from "./functions/conditional.ts"
+import {iterableToReader} from "./functions/streams.ts"
+import {resolveInRoot} from "./functions/safePath.ts"
+import {FileOptions} from "../types/interfaces/FileOptions.ts"
+import {CookieOptions} from "../types/interfaces/CookieOptions.ts"
+import {serializeCookie, signCookie} from "./functions/cookies.ts"
+
+export class Response {
+    status = 200
+    headers = new Headers()
+    body?: string | Uint8Array | Deno.Reader
+    resources: Deno.Closer[] = []
+    // body bytes handed to the connection, known once the response finished
+    bytesSent = 0
+    // keys for signed cookies, set by cookieParser
+    cookieKeys: CryptoKey[] = []
+    // set once the response was handed to the connection, writing it
+    // afterwards throws
+    finished = false
+    private closed = false
+    private finishHooks: (() => void)[] = []
+
+    constructor(public req?: Request) {}
+
+    toHttpResponse(head = false): http.Response {
+        this.finished = true
+        let {status = 200, headers, body = new Uint8Array(0)} = this
+        if (typeof body === "string") {
+            body = new TextEncoder().encode(body)
+            if (!headers.has("Content-Type")) {
+                headers.append("Content-Type", "text/plain")
+            }
+        }
+        if (head) {
+            // keep the headers of the full response but send no body
+            if (body instanceof Uint8Array && !headers.has("Content-Length")) {
+                headers.set("Content-Length", body.byteLength + "")
+            }
+            body = new Uint8Array(0)
+        }
+        if (body instanceof Uint8Array) {
+            this.bytesSent = body.byteLength
+        } else {
+            const reader = body
+            body = {
+                read: async (p: Uint8Array) => {
+                    const n = await reader.read(p)
+                    if (n) this.bytesSent += n
+                    return n
+                },
+            }
+        }
+        return {status, headers, body}
+    }
+
+    close() {
+        if (this.closed) return
+        this.closed = true
+        for (const resource of this.resources) closeQuietly(resource)
+    }
+
+    // Registers something to close along with the response. Handlers still
+    // running after it was closed, like ones whose request timed out, get
+    // theirs closed right away and an error instead of a leak.
+    addResource<T extends Deno.Closer>(resource: T): T {
+        if (this.closed) {
+            closeQuietly(resource)
+            throw new Error("response already closed")
+        }
+        this.resources.push(resource)
+        return resource
+    }
+
+    // Registers a hook run once the response was written or failed to be.
+    onFinish(hook: () => void): void {
+        this.finishHooks.push(hook)
+    }
+
+    finish(): void {
+        for (const hook of this.finishHooks) {
+            try {
+                hook()
+            } catch (e) {
+                console.error("finish hook: ", e.message)
+            }
+        }
+    }
+
+    empty(status: number): void {
+        this.checkWritable()
+        this.status = status
+        this.body = ""
+    }
+
+    json(json: Json): void {
+        this.checkWritable()
+        this.headers.append("Content-Type", "application/json")
+        this.body = JSON.stringify(json)
+    }
+
+    // Adds a Set-Cookie header; signed ones need cookieParser with a secret.
+    // Signing is async: a signed cookie is only added once the returned
+    // promise resolved, so await it before the handler returns.
+    cookie(name: string, value: string, options: CookieOptions = {}): Promise<void> {
+        this.checkWritable()
+        if (!options.signed) {
+            this.headers.append("Set-Cookie", serializeCookie(name, value, options))
+            return Promise.resolve()
+        }
+        if (!this.cookieKeys.length) throw new Error("signed cookies need cookieParser with a secret")
+        // bad names and attributes fail here, not in the promise
+        serializeCookie(name, value, options)
+        return signCookie(name, value, this.cookieKeys[0]).then((signed) => {
+            this.checkWritable()
+            this.headers.append("Set-Cookie", serializeCookie(name, signed, options))
+        })
+    }
+
+    // Tells the client to drop the cookie; path and domain must be the ones
+    // it was set with.
+    clearCookie(name: string, options: CookieOptions = {}): void {
+        this.checkWritable()
+        const {path, domain, secure, sameSite, partitioned} = options
+        this.headers.append("Set-Cookie", serializeCookie(name, "", {
+            path,
+            domain,
+            secure,
+            sameSite,
+            partitioned,
+            expires: new Date(0),
+        }))
+    }
+
+    // Adds a request header the response depends on to Vary.
+    vary(field: string): void {
+        const current = this.headers.get("Vary")
+        if (!current) return this.headers.set("Vary", field)
+        const fields = current.split(",").map((f) => f.trim().toLowerCase())
+        if (fields.includes("*") || fields.includes(field.toLowerCase())) return
+        this.headers.set("Vary", current + ", " + field)
+    }
+
+    // Runs the handler for the type the request's Accept header prefers,
+    // responds 406 if it accepts none of them.
+    async format(handlers: { [type: string]: () => void | Promise<void> }): Promise<void> {
+        this.vary("Accept")
+        const types = Object.keys(handlers)
+        const type = this.req ? this.req.accepts(...types) : types[0]
+        if (!type) return this.empty(406)
+        await handlers[type]()
+    }
+
+    send(text: string): void {
+        this.checkWritable()
+        this.headers.append("Content-Type", "text/plain")
+        this.body = text
+    }
+
+    // Sends a file. With the request at hand, answers conditional requests
+    // with 304 and Range requests with 206, using ETag and Last-Modified
+    // derived from the file's stat. With options.root, filePath is taken as
+    // relative to root and may not leave it. Refuses once the request was
+    // aborted, by a timeout or the client leaving.
+    async file(
+        filePath: string,
+        transform?: (src: string) => string,
+        options: FileOptions = {},
+    ): Promise<void> {
+        this.checkWritable()
+        if (this.req?.signal.aborted) throw this.req.signal.reason
+        if (options.root) filePath = await resolveInRoot(options.root, filePath, options)
+        // console.log("filepath: ", filePath)
+        const extname: string = path.extname(filePath)
+        // console.log("extname: ", extname)
+        const contentType: string | undefined = options.contentType || lookup(extname.slice(1)) || ""
+        const cached = options.cache ? await options.cache.get(filePath) : null
+        const fileInfo = cached ? cached.info : await Deno.stat(filePath)
+        if (!fileInfo.isFile || !contentType) {
+            return
+        }
+        this.headers.append("Content-Type", contentType)
+        const etag = cached ? cached.etag : fileEtag(fileInfo)
+        this.headers.set("ETag", etag)
+        if (fileInfo.mtime) this.headers.set("Last-Modified", fileInfo.mtime.toUTCString())
+        const method = this.req?.method
+        const conditional = method === "GET" || method === "HEAD"
+        if (this.req && conditional && isFresh(this.req.headers, etag, fileInfo.mtime)) {
+            return this.empty(304)
+        }
+        if (transform) {
+            if (cached) {
+                this.body = options.cache!.transform(cached, transform)
+                return
+            }
+            const bytes = await Deno.readFile(filePath)
+            let str = new TextDecoder().decode(bytes)
+            str = transform(str)
+            this.body = new TextEncoder().encode(str)
+            return
+        }
+        this.headers.set("Accept-Ranges", "bytes")
+        const size = fileInfo.size
+        const ranges = this.req && conditional && ifRangeMatches(this.req.headers, etag, fileInfo.mtime)
+            ? parseRange(this.req.headers.get("Range"), size)
+            : null
+        if (ranges && !ranges.length) {
+            this.headers.set("Content-Range", `bytes */${size}`)
+            return this.empty(416)
+        }
+        if (!ranges) {
+            this.headers.set("Content-Length", size + "")
+            this.body = cached ? cached.bytes : await this.open(filePath)
+            return
+        }
+        const file = cached ? null : await this.open(filePath)
+        const read = (range: ByteRange) => file ? readFileRange(file, range) : readBytesRange(cached!.bytes, range)
+        if (ranges.length === 1) {
+            const [{start, end}] = ranges
+            this.status = 206
+            this.headers.set("Content-Range", `bytes ${start}-${end}/${size}`)
+            this.headers.set("Content-Length", end - start + 1 + "")
+            this.body = iterableToReader(readRanges(read, ranges, () => "", ""))
+        } else {
+            const boundary = crypto.randomUUID().replaceAll("-", "")
+            const partHeaders = ({start, end}: ByteRange) =>
+                `--${boundary}\r\nContent-Type: ${contentType}\r\n` +
+                `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+            const trailer = `--${boundary}--\r\n`
+            let length = trailer.length
+            for (const range of ranges) {
+                length += partHeaders(range).length + range.end - range.start + 1 + 2
+            }
+            this.status = 206
+            this.headers.set("Content-Type", `multipart/byteranges; boundary=${boundary}`)
+            this.headers.set("Content-Length", length + "")
+            this.body = iterableToReader(readRanges(read, ranges, partHeaders, trailer))
+        }
+    }
+
+    private checkWritable(): void {
+        if (this.finished) throw new Error("response already sent")
+    }
+
+    private async open(filePath: string): Promise<Deno.FsFile> {
+        return this.addResource(await Deno.open(filePath))
+    }
+}
+
+function closeQuietly(resource: Deno.Closer): void {
+    try {
+        const result: unknown = resource.close()
+        if (result instanceof Promise) result.catch(() => {})
+    } catch {
+        // already closed, the others still need to be
+    }
+}
+
+// Yields the ranges, each preceded by its part headers.
+async function* readRanges(
+    read: (range: ByteRange) => AsyncIterable<Uint8Array>,
+    ranges: ByteRange[],
+    partHeaders: (range: ByteRange) => string,
+    trailer: string,
+): AsyncIterable<Uint8Array> {
+    const encoder = new TextEncoder()
+    for (const range of ranges) {
+        const headers = partHeaders(range)
+        if (headers) yield encoder.encode(headers)
+        yield* read(range)
+        if (headers) yield encoder.encode("\r\n")
+    }
+    if (trailer) yield encoder.encode(trailer)
+}
+
+async function* readBytesRange(bytes: Uint8Array, range: ByteRange): AsyncIterable<Uint8Array> {
+    yield bytes.subarray(range.start, range.end + 1)
+}
+
+async function* readFileRange(file: Deno.FsFile, range: ByteRange): AsyncIterable<Uint8Array> {
+    await file.seek(range.start, Deno.SeekMode.Start)
+    let remaining = range.end - range.start + 1
+    while (remaining > 0) {
+        const buf = new Uint8Array(Math.min(16 * 1024, remaining))
+        const n = await file.read(buf)
+        if (n === null) break
+        remaining -= n
+        yield buf.subarray(0, n)
+    }
+}
@@ -0,0 +1,45 @@
+import {assertEquals, assertThrows} from "../test_deps.ts"
+import {fakeRequest, withTempDir} from "../test_util.ts"
+
+Deno.test("resources are closed once, even if one fails", () => {
+    const {res} = fakeRequest("GET", "/")
+    const closed: string[] = []
+    res.addResource({close: () => closed.push("a")})
+    res.addResource({close: () => { throw new Error("already closed") }})
+    res.addResource({close: () => closed.push("c")})
+    res.close()
+    res.close()
+    assertEquals(closed, ["a", "c"])
+})
+
+Deno.test("resources added after closing are closed right away", () => {
+    const {res} = fakeRequest("GET", "/")
+    res.close()
+    let closed = false
+    assertThrows(() => res.addResource({close: () => closed = true}), Error, "closed")
+    assertEquals(closed, true)
+})
+
+Deno.test("a sent response can't be written anymore", () => {
+    const {res} = fakeRequest("GET", "/")
+    res.send("first")
+    res.toHttpResponse()
+    assertEquals(res.finished, true)
+    assertThrows(() => res.send("second"), Error, "already sent")
+    assertThrows(() => res.json({}), Error, "already sent")
+    assertThrows(() => res.cookie("a", "b"), Error, "already sent")
+    assertEquals(res.body, "first")
+})
+
+Deno.test("files are sent with validators and ranges", () => withTempDir({"a.txt": "0123456789"}, async (dir) => {
+    let {req, res} = fakeRequest("GET", "/", {Range: "bytes=2-4"})
+    await res.file(dir + "/a.txt")
+    assertEquals(res.status, 206)
+    assertEquals(res.headers.get("Content-Range"), "bytes 2-4/10")
+    const etag = res.headers.get("ETag")!
+    res.close();
+    ({req, res} = fakeRequest("GET", "/", {"If-None-Match": etag}))
+    await res.file(dir + "/a.txt")
+    assertEquals(res.status, 304)
+    assertEquals(req.signal.aborted, false)
+}))
@@ -0,0 +1,64 @@
+import {LogWriter} from "../types/interfaces/LogWriter.ts"
+import {RotatingFileOptions} from "../types/interfaces/RotatingFileOptions.ts"
+import {writeAll} from "../deps.ts"
+
+const encoder = new TextEncoder()
+
+// Appends lines to a file, moving it to path.1, path.2, ... once it is full.
+export class RotatingFileWriter implements LogWriter {
+    readonly path: string
+    readonly maxSize: number
+    readonly maxFiles: number
+    private file?: Deno.FsFile
+    private size = 0
+    // writes are queued so lines never interleave or race a rotation
+    private queue: Promise<void> = Promise.resolve()
+
+    constructor(options: RotatingFileOptions) {
+        this.path = options.path
+        this.maxSize = options.maxSize ?? 10 * 1024 * 1024
+        this.maxFiles = options.maxFiles ?? 5
+    }
+
+    write(line: string): Promise<void> {
+        const bytes = encoder.encode(line + "\n")
+        this.queue = this.queue
+            .then(() => this.append(bytes))
+            .catch((e) => console.error("log file: ", e.message))
+        return this.queue
+    }
+
+    async close(): Promise<void> {
+        await this.queue
+        this.file?.close()
+        this.file = undefined
+    }
+
+    private async append(bytes: Uint8Array): Promise<void> {
+        if (!this.file) await this.open()
+        if (this.size > 0 && this.size + bytes.byteLength > this.maxSize) await this.rotate()
+        await writeAll(this.file!, bytes)
+        this.size += bytes.byteLength
+    }
+
+    private async open(): Promise<void> {
+        this.file = await Deno.open(this.path, {append: true, create: true})
+        this.size = (await Deno.stat(this.path)).size
+    }
+
+    private async rotate(): Promise<void> {
+        this.file!.close()
+        this.file = undefined
+        // renaming onto the last file drops the oldest one
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            await Deno.rename(`${this.path}.${i}`, `${this.path}.${i + 1}`).catch(ignoreNotFound)
+        }
+        if (this.maxFiles > 0) await Deno.rename(this.path, this.path + ".1")
+        else await Deno.remove(this.path)
+        await this.open()
+    }
+}
+
+function ignoreNotFound(e: Error): void {
+    if (!(e instanceof Deno.errors.NotFound)) throw e
+}
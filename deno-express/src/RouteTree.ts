@@ -0,0 +1,124 @@
+import {Method, Params} from "../types/index.ts"
+import {PathHandler} from "../types/interfaces/PathHandler.ts"
+import {PathSegment} from "../types/interfaces/PathSegment.ts"
+import {RouteMatch} from "../types/interfaces/RouteMatch.ts"
+import {matchesSegment, parsePattern} from "./simplePathMatcher.ts"
+
+class Node {
+    children = new Map<string, Node>()
+    params: { segment: PathSegment, node: Node }[] = []
+    wildcards: { segment: PathSegment, node: Node }[] = []
+    handlers = new Map<Method, PathHandler>()
+}
+
+// Routes are compiled into a tree of path segments, so a lookup only walks
+// the segments of the requested path instead of every registered route.
+export class RouteTree {
+    private root = new Node()
+
+    add(handler: PathHandler): void {
+        let node = this.root
+        for (const segment of parsePattern(handler.pattern)) {
+            // a missing optional segment ends the route at the current node
+            if (segment.optional) setHandler(node, handler)
+            if (segment.kind === "static") node = staticChild(node, segment.value)
+            else if (segment.kind === "param") node = dynamicChild(node.params, segment)
+            else node = dynamicChild(node.wildcards, segment)
+        }
+        setHandler(node, handler)
+    }
+
+    find(method: Method, path: string): RouteMatch | null {
+        return walk(this.root, path.split("/"), 0, [], (node, values) => {
+            return matched(node, method, values)
+        })
+    }
+
+    // methods of every route whose pattern matches the path
+    allowed(path: string): Method[] {
+        const methods = new Set<Method>()
+        walk(this.root, path.split("/"), 0, [], (node) => {
+            for (const method of node.handlers.keys()) methods.add(method)
+            return null
+        })
+        return [...methods]
+    }
+}
+
+function setHandler(node: Node, handler: PathHandler): void {
+    // first registered handler wins, like the old linear scan
+    if (!node.handlers.has(handler.method)) {
+        node.handlers.set(handler.method, handler)
+    }
+}
+
+function staticChild(node: Node, segment: string): Node {
+    let child = node.children.get(segment)
+    if (!child) {
+        child = new Node()
+        node.children.set(segment, child)
+    }
+    return child
+}
+
+function dynamicChild(
+    children: { segment: PathSegment, node: Node }[],
+    segment: PathSegment,
+): Node {
+    let child = children.find((c) =>
+        c.segment.value === segment.value &&
+        c.segment.constraint?.source === segment.constraint?.source
+    )
+    if (!child) {
+        child = {segment, node: new Node()}
+        children.push(child)
+    }
+    return child.node
+}
+
+type Visit = (node: Node, values: [string, string][]) => RouteMatch | null
+
+// Visits every node matching the path until visit returns a match.
+function walk(
+    node: Node,
+    segments: string[],
+    index: number,
+    values: [string, string][],
+    visit: Visit,
+): RouteMatch | null {
+    if (index === segments.length) return visit(node, values)
+    const segment = segments[index]
+    // literal segments take precedence over params, params over wildcards
+    const child = node.children.get(segment)
+    if (child) {
+        const found = walk(child, segments, index + 1, values, visit)
+        if (found) return found
+    }
+    for (const param of node.params) {
+        // a failed constraint falls through to the next candidate route
+        if (!matchesSegment(param.segment, segment)) continue
+        values.push([param.segment.value, segment])
+        const found = walk(param.node, segments, index + 1, values, visit)
+        if (found) return found
+        values.pop()
+    }
+    for (const wildcard of node.wildcards) {
+        values.push([wildcard.segment.value, segments.slice(index).join("/")])
+        const found = visit(wildcard.node, values)
+        if (found) return found
+        values.pop()
+    }
+    return null
+}
+
+function matched(
+    node: Node,
+    method: Method,
+    values: [string, string][],
+): RouteMatch | null {
+    const handler = node.handlers.get(method)
+    if (!handler) return null
+    const params: Params = {}
+    for (const [name, value] of values) params[name] = value
+    return {handler, params}
+}
@@ -0,0 +1,48 @@
+import {assertEquals} from "../test_deps.ts"
+import {Method} from "../types/index.ts"
+import {RouteTree} from "./RouteTree.ts"
+
+function route(method: Method, pattern: string) {
+    return {method, pattern, match: () => null, handle: () => {}}
+}
+
+function find(tree: RouteTree, method: Method, path: string) {
+    const match = tree.find(method, path)
+    return match && {pattern: match.handler.pattern, params: match.params}
+}
+
+Deno.test("RouteTree prefers static over param over wildcard segments", () => {
+    const tree = new RouteTree()
+    tree.add(route("GET", "/files/*"))
+    tree.add(route("GET", "/files/{name}"))
+    tree.add(route("GET", "/files/index"))
+    assertEquals(find(tree, "GET", "/files/index"), {pattern: "/files/index", params: {}})
+    assertEquals(find(tree, "GET", "/files/a"), {pattern: "/files/{name}", params: {name: "a"}})
+    assertEquals(find(tree, "GET", "/files/a/b"), {pattern: "/files/*", params: {"*": "a/b"}})
+})
+
+Deno.test("RouteTree backtracks past constraints that fail", () => {
+    const tree = new RouteTree()
+    tree.add(route("GET", "/items/{id:\\d+}/edit"))
+    tree.add(route("GET", "/items/{slug}"))
+    assertEquals(find(tree, "GET", "/items/12/edit"), {pattern: "/items/{id:\\d+}/edit", params: {id: "12"}})
+    assertEquals(find(tree, "GET", "/items/12"), {pattern: "/items/{slug}", params: {slug: "12"}})
+    assertEquals(find(tree, "GET", "/items/abc/edit"), null)
+})
+
+Deno.test("RouteTree matches optional params and keeps the first route", () => {
+    const tree = new RouteTree()
+    tree.add(route("GET", "/archive/{year?}"))
+    tree.add(route("GET", "/archive"))
+    assertEquals(find(tree, "GET", "/archive"), {pattern: "/archive/{year?}", params: {}})
+    assertEquals(find(tree, "GET", "/archive/2021"), {pattern: "/archive/{year?}", params: {year: "2021"}})
+})
+
+Deno.test("RouteTree lists the methods allowed for a path", () => {
+    const tree = new RouteTree()
+    tree.add(route("GET", "/users/{id}"))
+    tree.add(route("DELETE", "/users/{id:\\d+}"))
+    assertEquals(tree.allowed("/users/1").sort(), ["DELETE", "GET"])
+    assertEquals(tree.allowed("/users/me"), ["GET"])
+    assertEquals(find(tree, "POST", "/users/1"), null)
+})
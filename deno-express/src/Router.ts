@@ -0,0 +1,205 @@
+import {EndHandler, Handler, Method, Middleware, Next, Params} from "../types/index.ts"
+import {PathHandler} from "../types/interfaces/PathHandler.ts"
+import {PathSegment} from "../types/interfaces/PathSegment.ts"
+import {RouteOptions} from "../types/interfaces/RouteOptions.ts"
+import {isPathHandler} from "./functions/isPathHandler.ts"
+import {runWithTimeout} from "./functions/timeout.ts"
+import {Request} from "./Request.ts"
+import {Response} from "./Response.ts"
+import {RouteTree} from "./RouteTree.ts"
+import {matchesSegment, parsePattern, simplePathMatcher} from "./simplePathMatcher.ts"
+
+interface Mount {
+    prefix: PathSegment[];
+    router: Router;
+}
+
+// A group of middlewares and routes. Routers can be mounted on an App or on
+// another Router with use(prefix, router); the mounted router then sees
+// req.path relative to the prefix.
+export class Router {
+    // middlewares, mounted routers and routes, in registration order
+    middlewares: Handler[] = []
+    private trees: RouteTree[] = []
+    // routes registered one after another share a tree, anything else
+    // registered in between starts a new one
+    private lastTree?: RouteTree
+    private mounts: Mount[] = []
+
+    use(m: Middleware | Router): void
+    use(prefix: string, m: Middleware | Router): void
+    use(a: string | Middleware | Router, b?: Middleware | Router) {
+        const prefix = typeof a === "string" ? a : "/"
+        const m = typeof a === "string" ? b! : a
+        if (m instanceof Router) {
+            this.mount(prefix, m)
+        } else if (isPathHandler(m)) {
+            const pattern = joinPath(prefix, m.pattern)
+            this.addRoute({...m, pattern, match: simplePathMatcher(pattern)})
+        } else if (prefix === "/") {
+            this.push(m)
+        } else {
+            // a middleware scoped to a prefix is a router holding only it
+            const router = new Router()
+            router.use(m)
+            this.mount(prefix, router)
+        }
+    }
+
+    // Creates a router mounted at prefix, to register a group of routes on.
+    route(prefix: string): Router {
+        const router = new Router()
+        this.mount(prefix, router)
+        return router
+    }
+
+    // Runs the middlewares and routes, calls next if none of them responded.
+    handle(req: Request, res: Response, next: Next): Promise<void> {
+        return runMiddlewares(this.middlewares, 0, req, res, next)
+    }
+
+    // Methods of all routes matching the path, including mounted routers.
+    allowed(path: string): Method[] {
+        const methods = new Set(this.trees.flatMap((tree) => tree.allowed(path)))
+        for (const mount of this.mounts) {
+            const matched = matchPrefix(mount.prefix, path)
+            if (!matched) continue
+            for (const m of mount.router.allowed(matched.path)) methods.add(m)
+        }
+        return [...methods]
+    }
+
+    private mount(prefix: string, router: Router) {
+        const segments = parsePattern(prefix.replace(/\/+$/, ""))
+        if (segments.some((s) => s.kind === "wildcard" || s.optional)) {
+            throw new Error("invalid mount prefix")
+        }
+        this.mounts.push({prefix: segments, router})
+        this.push(async (req, res, next) => {
+            const matched = matchPrefix(segments, req.path)
+            if (!matched) return next()
+            const {path, params, baseUrl} = req
+            const mountPattern = req.extra.mountPattern
+            const restore = () => {
+                req.path = path
+                req.params = params
+                req.baseUrl = baseUrl
+                req.extra.mountPattern = mountPattern
+            }
+            req.path = matched.path
+            req.params = {...params, ...matched.params}
+            req.baseUrl = baseUrl + matched.base
+            req.extra.mountPattern = joinPath(mountPattern || "", prefix)
+            try {
+                await router.handle(req, res, () => {
+                    restore()
+                    return next()
+                })
+            } finally {
+                restore()
+            }
+        })
+    }
+
+    private push(m: Handler): void {
+        this.middlewares.push(m)
+        this.lastTree = undefined
+    }
+
+    private addRoute(handler: PathHandler): void {
+        if (!this.lastTree) {
+            const tree = new RouteTree()
+            this.push((req, res, next) => runRoute(tree, req, res, next))
+            this.trees.push(tree)
+            this.lastTree = tree
+        }
+        this.lastTree.add(handler)
+    }
+
+    private addPathHandler(method: Method, pattern: string, handle: EndHandler, options: RouteOptions) {
+        this.addRoute({
+            ...options,
+            method,
+            pattern,
+            match: simplePathMatcher(pattern),
+            handle,
+        })
+    }
+
+    get(pattern: any, handle: EndHandler, options: RouteOptions = {}): void {
+        this.addPathHandler("GET", pattern, handle, options)
+    }
+
+    post(pattern: any, handle: EndHandler, options: RouteOptions = {}): void {
+        this.addPathHandler("POST", pattern, handle, options)
+    }
+
+    put(pattern: any, handle: EndHandler, options: RouteOptions = {}): void {
+        this.addPathHandler("PUT", pattern, handle, options)
+    }
+
+    patch(pattern: any, handle: EndHandler, options: RouteOptions = {}): void {
+        this.addPathHandler("PATCH", pattern, handle, options)
+    }
+
+    delete(pattern: any, handle: EndHandler, options: RouteOptions = {}): void {
+        this.addPathHandler("DELETE", pattern, handle, options)
+    }
+}
+
+async function runMiddlewares(
+    ms: Handler[],
+    index: number,
+    req: Request,
+    res: Response,
+    done: Next,
+): Promise<void> {
+    if (index < ms.length) {
+        await ms[index](req, res, () => {
+            return runMiddlewares(ms, index + 1, req, res, done)
+        })
+    } else {
+        await done()
+    }
+}
+
+async function runRoute(
+    routes: RouteTree,
+    req: Request,
+    res: Response,
+    done: Next,
+): Promise<void> {
+    let found = routes.find(req.method, req.path)
+    // HEAD is answered by the GET handler, the body is dropped on respond
+    if (!found && req.method === "HEAD") found = routes.find("GET", req.path)
+    if (!found) return done()
+    req.extra.matchedPattern = joinPath(req.extra.mountPattern || "", found.handler.pattern)
+    req.params = {...req.params, ...found.params}
+    const {handle, timeout, timeoutStatus = 503} = found.handler
+    if (timeout === undefined) return await handle(req, res)
+    await runWithTimeout(req, timeout, timeoutStatus, async () => await handle(req, res))
+}
+
+function matchPrefix(
+    prefix: PathSegment[],
+    _path: string,
+): { path: string, base: string, params: Params } | null {
+    const path = _path.split("/")
+    if (path.length < prefix.length) return null
+    const params: Params = {}
+    for (let i = 0; i < prefix.length; i++) {
+        if (!matchesSegment(prefix[i], path[i])) return null
+        if (prefix[i].kind === "param") params[prefix[i].value] = path[i]
+    }
+    return {
+        path: "/" + path.slice(prefix.length).join("/"),
+        base: path.slice(0, prefix.length).join("/"),
+        params,
+    }
+}
+
+function joinPath(prefix: string, pattern: string): string {
+    const base = prefix.replace(/\/+$/, "")
+    if (!base) return pattern
+    return pattern === "/" ? base : base + pattern
+}
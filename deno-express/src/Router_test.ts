@@ -0,0 +1,74 @@
+import {assertEquals} from "../test_deps.ts"
+import {fakeRequest} from "../test_util.ts"
+import {Router} from "./Router.ts"
+
+async function run(router: Router, method: string, url: string) {
+    const {req, res} = fakeRequest(method, url)
+    let fellThrough = false
+    await router.handle(req, res, async () => {
+        fellThrough = true
+    })
+    return {req, res, fellThrough}
+}
+
+Deno.test("routes and middlewares run in registration order", async () => {
+    const router = new Router()
+    router.get("/", (req, res) => res.send("home"))
+    router.use(async (req, res) => {
+        res.status = 404
+        res.send("custom not found")
+    })
+    router.get("/late", (req, res) => res.send("late"))
+
+    assertEquals((await run(router, "GET", "/")).res.body, "home")
+    const late = await run(router, "GET", "/late")
+    assertEquals([late.res.status, late.res.body], [404, "custom not found"])
+})
+
+Deno.test("a middleware registered before the routes runs first", async () => {
+    const router = new Router()
+    const seen: string[] = []
+    router.use(async (req, res, next) => {
+        seen.push("mw")
+        await next()
+    })
+    router.get("/", (req, res) => {
+        seen.push("route")
+    })
+    await run(router, "GET", "/")
+    assertEquals(seen, ["mw", "route"])
+})
+
+Deno.test("unmatched requests fall through to next", async () => {
+    const router = new Router()
+    router.get("/a", (req, res) => res.send("a"))
+    assertEquals((await run(router, "GET", "/b")).fellThrough, true)
+    assertEquals((await run(router, "POST", "/a")).fellThrough, true)
+})
+
+Deno.test("HEAD is answered by the GET route", async () => {
+    const router = new Router()
+    router.get("/a", (req, res) => res.send("a"))
+    assertEquals((await run(router, "HEAD", "/a")).res.body, "a")
+})
+
+Deno.test("mounted routers see the path below their prefix", async () => {
+    const router = new Router()
+    const users = router.route("/users/{org}")
+    users.get("/{id}", (req, res) => res.json({...req.params, path: req.path, base: req.baseUrl}))
+    const {req, res} = await run(router, "GET", "/users/acme/42")
+    assertEquals(JSON.parse(res.body as string), {org: "acme", id: "42", path: "/42", base: "/users/acme"})
+    assertEquals(req.extra.matchedPattern, "/users/{org}/{id}")
+    // restored once the mounted router is done
+    assertEquals(req.path, "/users/acme/42")
+})
+
+Deno.test("allowed lists the methods of every matching route", () => {
+    const router = new Router()
+    router.get("/a", () => {})
+    router.use(async (req, res, next) => next())
+    router.post("/a", () => {})
+    router.route("/a").delete("/", () => {})
+    assertEquals(router.allowed("/a").sort(), ["DELETE", "GET", "POST"])
+    assertEquals(router.allowed("/b"), [])
+})
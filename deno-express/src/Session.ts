@@ -0,0 +1,95 @@
+import {SessionData, SessionStore} from "../types/interfaces/SessionStore.ts"
+
+// A session loaded from its store on first use. The session middleware
+// saves it once the request was handled, if it changed.
+export class Session {
+    // id the client sent, if the store knows it
+    private storedId?: string
+    private data?: SessionData
+    private loading?: Promise<SessionData>
+    private newId?: string
+    changed = false
+    destroyed = false
+
+    constructor(private store: SessionStore, private clientId?: string) {}
+
+    // The session id, undefined for a new session not saved yet.
+    get id(): string | undefined {
+        return this.newId ?? this.storedId
+    }
+
+    async get<T = any>(key: string): Promise<T | undefined> {
+        return (await this.load())[key]
+    }
+
+    async set(key: string, value: any): Promise<void> {
+        const data = await this.load()
+        data[key] = value
+        this.changed = true
+    }
+
+    async delete(key: string): Promise<void> {
+        const data = await this.load()
+        delete data[key]
+        this.changed = true
+    }
+
+    // Moves the data to a new id. Call it when privileges change, like on
+    // login, so an id an attacker planted beforehand becomes worthless.
+    async regenerate(): Promise<void> {
+        await this.load()
+        if (this.storedId) await this.store.delete(this.storedId)
+        this.storedId = undefined
+        this.newId = crypto.randomUUID()
+        this.changed = true
+    }
+
+    // Deletes the session, the client's cookie is cleared.
+    async destroy(): Promise<void> {
+        if (this.clientId) await this.store.delete(this.clientId)
+        this.storedId = undefined
+        this.newId = undefined
+        this.data = {}
+        this.loading = Promise.resolve(this.data)
+        this.changed = false
+        this.destroyed = true
+    }
+
+    // Whether the data was read from the store during this request.
+    get loaded(): boolean {
+        return this.data !== undefined
+    }
+
+    load(): Promise<SessionData> {
+        if (!this.loading) {
+            this.loading = (async () => {
+                const stored = this.clientId ? await this.store.get(this.clientId) : null
+                // unknown ids are never taken over, a new one is issued
+                if (stored) this.storedId = this.clientId
+                this.data = stored ?? {}
+                return this.data
+            })()
+        }
+        return this.loading
+    }
+
+    // Saves the session under its id, creating one for a new session.
+    async save(ttl: number): Promise<string> {
+        const data = await this.load()
+        if (!this.id) this.newId = crypto.randomUUID()
+        await this.store.set(this.id!, data, ttl)
+        this.changed = false
+        return this.id!
+    }
+
+    // Extends an existing session without rewriting it.
+    async touch(ttl: number): Promise<string | undefined> {
+        if (!this.loaded && this.clientId && this.store.touch) {
+            // trusted without loading, touch ignores ids the store lacks
+            await this.store.touch(this.clientId, ttl)
+            return this.clientId
+        }
+        await this.load()
+        return this.storedId ? await this.save(ttl) : undefined
+    }
+}
@@ -0,0 +1,71 @@
+import {assert, assertEquals} from "../test_deps.ts"
+import {fakeRequest} from "../test_util.ts"
+import {MemorySessionStore} from "./MemorySessionStore.ts"
+import {session} from "./functions/session.ts"
+import {Request} from "./Request.ts"
+import {SessionOptions} from "../types/interfaces/SessionOptions.ts"
+
+async function run(options: SessionOptions, cookie: string | undefined, handler: (req: Request) => Promise<void>) {
+    const {req, res} = fakeRequest("GET", "/", cookie ? {Cookie: "sid=" + cookie} : {})
+    await session(options)(req, res, () => handler(req))
+    const setCookie = res.headers.get("Set-Cookie")
+    return {setCookie, id: setCookie && /^sid=([^;]*)/.exec(setCookie)![1]}
+}
+
+Deno.test("session sends no cookie until something is stored", async () => {
+    const store = new MemorySessionStore()
+    let {setCookie} = await run({store}, undefined, async (req) => {
+        assertEquals(await req.session!.get("user"), undefined)
+    })
+    assertEquals(setCookie, null)
+    const {id} = await run({store}, undefined, (req) => req.session!.set("user", "alice"))
+    assert(id)
+    assertEquals(await store.get(id), {user: "alice"});
+    ({setCookie} = await run({store}, id, async (req) => {
+        assertEquals(await req.session!.get("user"), "alice")
+    }))
+    assertEquals(setCookie, null)
+})
+
+Deno.test("session never adopts ids it doesn't know", async () => {
+    const store = new MemorySessionStore()
+    const {id} = await run({store}, "planted-id", (req) => req.session!.set("user", "alice"))
+    assert(id && id !== "planted-id")
+    assertEquals(await store.get("planted-id"), null)
+})
+
+Deno.test("session regenerate moves the data to a new id", async () => {
+    const store = new MemorySessionStore()
+    const {id: oldId} = await run({store}, undefined, (req) => req.session!.set("cart", 1))
+    const {id: newId} = await run({store}, oldId!, async (req) => {
+        await req.session!.regenerate()
+        await req.session!.set("user", "alice")
+    })
+    assert(newId && newId !== oldId)
+    assertEquals(await store.get(oldId!), null)
+    assertEquals(await store.get(newId), {cart: 1, user: "alice"})
+})
+
+Deno.test("session destroy deletes the session and clears the cookie", async () => {
+    const store = new MemorySessionStore()
+    const {id} = await run({store}, undefined, (req) => req.session!.set("user", "alice"))
+    const {setCookie} = await run({store}, id!, (req) => req.session!.destroy())
+    assert(setCookie!.startsWith("sid=;") && setCookie!.includes("Expires=Thu, 01 Jan 1970"))
+    assertEquals(await store.get(id!), null)
+})
+
+Deno.test("session rolling extends known sessions only", async () => {
+    const store = new MemorySessionStore()
+    const {id} = await run({store, maxAge: 1}, undefined, (req) => req.session!.set("user", "alice"))
+    await new Promise((resolve) => setTimeout(resolve, 600))
+    const rolled = await run({store, maxAge: 1, rolling: true}, id!, async () => {})
+    assertEquals(rolled.id, id)
+    assert(rolled.setCookie!.includes("Max-Age=1"))
+    await new Promise((resolve) => setTimeout(resolve, 600))
+    // past the first expiry, kept alive by the touch
+    assertEquals(await store.get(id!), {user: "alice"})
+    const {setCookie} = await run({store, rolling: true}, "unknown", async (req) => {
+        await req.session!.get("user")
+    })
+    assertEquals(setCookie, null)
+})
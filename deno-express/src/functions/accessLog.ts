@@ -0,0 +1,77 @@
+import {Handler} from "../../types/index.ts"
+import {AccessLogEntry} from "../../types/interfaces/AccessLogEntry.ts"
+import {AccessLogOptions} from "../../types/interfaces/AccessLogOptions.ts"
+import {LogWriter} from "../../types/interfaces/LogWriter.ts"
+import {Request} from "../Request.ts"
+import {Response} from "../Response.ts"
+import {RotatingFileWriter} from "../RotatingFileWriter.ts"
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+
+const FORMATS: { [name: string]: (entry: AccessLogEntry) => string } = {
+    common,
+    combined: (entry) => `${common(entry)} ${quote(entry.referer)} ${quote(entry.userAgent)}`,
+    json: (entry) => JSON.stringify(entry),
+}
+
+// Logs a line per response once it was written, so bytes and duration are
+// final. Add it first to log requests answered by other middlewares too.
+export function accessLog(options: AccessLogOptions = {}): Handler {
+    const {format = "combined", sink = "stdout", skip} = options
+    const formatLine = typeof format === "function" ? format : FORMATS[format]
+    if (!formatLine) throw new TypeError(`unknown access log format: ${format}`)
+    const writer = toWriter(sink)
+    return async (req, res, next) => {
+        res.onFinish(() => {
+            const entry = createEntry(req, res)
+            if (skip && skip(entry)) return
+            Promise.resolve(writer.write(formatLine(entry)))
+                .catch((e) => console.error("access log: ", e.message))
+        })
+        await next()
+    }
+}
+
+function toWriter(sink: AccessLogOptions["sink"]): LogWriter {
+    if (sink === "stdout" || !sink) return {write: (line) => console.log(line)}
+    if ("write" in sink) return sink
+    return new RotatingFileWriter(sink)
+}
+
+function createEntry(req: Request, res: Response): AccessLogEntry {
+    const begin = req.context.startTime
+    const addr = req.raw.conn?.remoteAddr
+    return {
+        time: new Date(begin),
+        remoteAddr: addr && "hostname" in addr ? addr.hostname : "-",
+        method: req.method,
+        url: req.url,
+        protocol: req.raw.proto || "HTTP/1.1",
+        status: res.status,
+        bytes: res.bytesSent,
+        duration: Date.now() - begin,
+        userAgent: req.headers.get("User-Agent"),
+        referer: req.headers.get("Referer"),
+        route: req.extra.matchedPattern || null,
+        requestId: req.context.id || null,
+    }
+}
+
+// host ident authuser [date] "request" status bytes
+function common(entry: AccessLogEntry): string {
+    const request = `${entry.method} ${entry.url} ${entry.protocol}`
+    return `${entry.remoteAddr} - - [${clfDate(entry.time)}] ${quote(request)} ` +
+        `${entry.status} ${entry.bytes || "-"}`
+}
+
+function quote(value: string | null): string {
+    if (value === null) return "\"-\""
+    return "\"" + value.replace(/[\\"]/g, "\\$&").replace(/[\x00-\x1f\x7f]/g, "") + "\""
+}
+
+// 10/Oct/2000:13:55:36 +0000
+function clfDate(date: Date): string {
+    const pad = (n: number) => String(n).padStart(2, "0")
+    return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`
+}
@@ -0,0 +1,81 @@
+interface ConnState {
+    read: (p: Uint8Array) => Promise<number | null>;
+    // read ahead, not yet handed to the server
+    buffered: Uint8Array;
+    probe?: Promise<void>;
+    reading: boolean;
+    eof: boolean;
+    error?: Error;
+    watchers: Set<() => void>;
+}
+
+const states = new WeakMap<Deno.Conn, ConnState>()
+
+// Calls onClose once the client closes the connection or it breaks, until
+// the returned function is called. std's Server doesn't read from a
+// connection while a request is handled, so this reads ahead and hands the
+// bytes to the Server's next read. A client still sending data is only
+// noticed closing again after that data was read.
+export function onClientClose(conn: Deno.Conn, onClose: () => void): () => void {
+    const state = states.get(conn) ?? wrap(conn)
+    if (state.eof || state.error) {
+        onClose()
+        return () => {}
+    }
+    state.watchers.add(onClose)
+    arm(state)
+    return () => state.watchers.delete(onClose)
+}
+
+function wrap(conn: Deno.Conn): ConnState {
+    const state: ConnState = {
+        read: conn.read.bind(conn),
+        buffered: new Uint8Array(0),
+        reading: false,
+        eof: false,
+        watchers: new Set(),
+    }
+    // reads are serialised, two pending reads could fill the same buffer
+    conn.read = async (p: Uint8Array) => {
+        while (state.probe) await state.probe
+        if (state.buffered.length) {
+            const n = Math.min(p.length, state.buffered.length)
+            p.set(state.buffered.subarray(0, n))
+            state.buffered = state.buffered.subarray(n)
+            arm(state)
+            return n
+        }
+        if (state.error) throw state.error
+        if (state.eof) return null
+        state.reading = true
+        try {
+            return await state.read(p)
+        } finally {
+            state.reading = false
+            arm(state)
+        }
+    }
+    states.set(conn, state)
+    return state
+}
+
+// Reads ahead while someone watches and nothing else reads or is buffered.
+function arm(state: ConnState): void {
+    if (state.probe || state.reading || !state.watchers.size) return
+    if (state.buffered.length || state.eof || state.error) return
+    const buf = new Uint8Array(4096)
+    state.probe = state.read(buf)
+        .then((n) => {
+            if (n === null) state.eof = true
+            else state.buffered = buf.subarray(0, n)
+        }, (e) => {
+            state.error = e
+        })
+        .finally(() => {
+            state.probe = undefined
+            if (!state.eof && !state.error) return
+            const watchers = [...state.watchers]
+            state.watchers.clear()
+            for (const onClose of watchers) onClose()
+        })
+}
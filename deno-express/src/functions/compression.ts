@@ -0,0 +1,66 @@
+import {Handler} from "../../types/index.ts"
+import {CompressionOptions} from "../../types/interfaces/CompressionOptions.ts"
+import {createBrotliCompress, db, Duplex} from "../../deps.ts"
+import {Request} from "../Request.ts"
+import {Response} from "../Response.ts"
+import {bytesToStream, readerToStream, readStream, streamToReader} from "./streams.ts"
+
+const COMPRESSIBLE_TYPE = /^text\/|\+(?:json|text|xml)$/i
+
+export function compression(options: CompressionOptions = {}): Handler {
+    const {threshold = 1024, encodings = ["br", "gzip", "deflate"]} = options
+    return async (req, res, next) => {
+        await next()
+        if (!shouldCompress(req, res, threshold)) return
+        res.vary("Accept-Encoding")
+        const encoding = req.acceptsEncodings(...encodings, "identity")
+        if (!encoding || encoding === "identity") return
+
+        let body = res.body!
+        if (typeof body === "string") {
+            if (!res.headers.has("Content-Type")) res.headers.set("Content-Type", "text/plain")
+            body = new TextEncoder().encode(body)
+        }
+        res.headers.delete("Content-Length")
+        res.headers.set("Content-Encoding", encoding)
+        // the compressed bytes differ, so a strong validator no longer holds
+        const etag = res.headers.get("ETag")
+        if (etag && !etag.startsWith("W/")) res.headers.set("ETag", "W/" + etag)
+        if (body instanceof Uint8Array) {
+            // the whole body is at hand, so the compressed length is known too
+            res.body = await readStream(bytesToStream(body).pipeThrough(compressor(encoding)))
+        } else {
+            // sent chunked, as the compressed length is only known at the end
+            res.body = streamToReader(readerToStream(body).pipeThrough(compressor(encoding)))
+        }
+    }
+}
+
+function compressor(encoding: string): TransformStream<Uint8Array, Uint8Array> {
+    if (encoding === "br") return Duplex.toWeb(createBrotliCompress()) as any
+    return new CompressionStream(encoding as CompressionFormat) as any
+}
+
+function shouldCompress(req: Request, res: Response, threshold: number): boolean {
+    if (!res.body || req.method === "HEAD") return false
+    if (res.status < 200 || res.status === 204 || res.status === 206 || res.status === 304) return false
+    if (res.headers.has("Content-Encoding")) return false
+    if (/\bno-transform\b/i.test(res.headers.get("Cache-Control") || "")) return false
+    // a string body without a type is sent as text/plain
+    const defaultType = typeof res.body === "string" ? "text/plain" : ""
+    if (!isCompressible(res.headers.get("Content-Type") || defaultType)) return false
+    const length = typeof res.body === "string"
+        ? new TextEncoder().encode(res.body).byteLength
+        : res.body instanceof Uint8Array
+        ? res.body.byteLength
+        : parseInt(res.headers.get("Content-Length") || "")
+    return Number.isNaN(length) || length >= threshold
+}
+
+function isCompressible(contentType: string): boolean {
+    const type = contentType.split(";")[0].trim().toLowerCase()
+    if (!type) return false
+    const entry = db[type]
+    if (entry && entry.compressible !== undefined) return entry.compressible
+    return COMPRESSIBLE_TYPE.test(type)
+}
@@ -0,0 +1,70 @@
+import {assertEquals} from "../../test_deps.ts"
+import {fakeRequest} from "../../test_util.ts"
+import {Response} from "../Response.ts"
+import {CompressionOptions} from "../../types/interfaces/CompressionOptions.ts"
+import {compression} from "./compression.ts"
+import {bytesToStream, readStream} from "./streams.ts"
+
+const text = "hello compression ".repeat(100)
+
+async function run(
+    handler: (res: Response) => void,
+    {method = "GET", acceptEncoding = "gzip, br", options = {}}: {
+        method?: string,
+        acceptEncoding?: string,
+        options?: CompressionOptions,
+    } = {},
+) {
+    const {req, res} = fakeRequest(method, "/", {"Accept-Encoding": acceptEncoding})
+    await compression(options)(req, res, async () => handler(res))
+    return res
+}
+
+Deno.test("compression encodes with the client's preferred encoding", async () => {
+    const res = await run((res) => res.send(text))
+    assertEquals(res.headers.get("Content-Encoding"), "gzip")
+    assertEquals(res.headers.get("Vary"), "Accept-Encoding")
+    const body = res.body as Uint8Array
+    const decoded = await readStream(bytesToStream(body).pipeThrough(new DecompressionStream("gzip") as any))
+    assertEquals(new TextDecoder().decode(decoded), text)
+})
+
+Deno.test("compression weakens strong ETags", async () => {
+    const res = await run((res) => {
+        res.headers.set("ETag", "\"abc\"")
+        res.send(text)
+    })
+    assertEquals(res.headers.get("ETag"), "W/\"abc\"")
+})
+
+Deno.test("compression skips responses it must not change", async () => {
+    const skipped = [
+        await run((res) => res.send(text), {method: "HEAD"}),
+        await run((res) => {
+            res.send(text)
+            res.status = 206
+        }),
+        await run((res) => res.empty(304)),
+        await run((res) => {
+            res.headers.set("Cache-Control", "public, no-transform")
+            res.send(text)
+        }),
+        // below the threshold
+        await run((res) => res.send("short")),
+        await run((res) => res.send(text), {acceptEncoding: "identity"}),
+    ]
+    for (const res of skipped) assertEquals(res.headers.get("Content-Encoding"), null)
+})
+
+Deno.test("compression only encodes compressible types", async () => {
+    const png = await run((res) => {
+        res.headers.set("Content-Type", "image/png")
+        res.body = new Uint8Array(2048)
+    })
+    assertEquals(png.headers.get("Content-Encoding"), null)
+    const json = await run((res) => {
+        res.headers.set("Content-Type", "application/vnd.api+json")
+        res.body = new Uint8Array(2048)
+    }, {options: {threshold: 0, encodings: ["gzip"]}})
+    assertEquals(json.headers.get("Content-Encoding"), "gzip")
+})
@@ -0,0 +1,87 @@
+export interface ByteRange {
+    start: number;
+    end: number;
+}
+
+// Same validator as nginx: modification time and size, both in hex.
+export function fileEtag(fileInfo: Deno.FileInfo): string {
+    const mtime = fileInfo.mtime ? fileInfo.mtime.getTime() : 0
+    return `"${mtime.toString(16)}-${fileInfo.size.toString(16)}"`
+}
+
+// True if the client's cached copy is still valid, so 304 can be sent.
+export function isFresh(headers: Headers, etag: string, lastModified: Date | null): boolean {
+    const ifNoneMatch = headers.get("If-None-Match")
+    if (ifNoneMatch) {
+        // weak comparison, If-None-Match takes precedence over the date
+        if (ifNoneMatch.trim() === "*") return true
+        return ifNoneMatch.split(",").some((tag) => weak(tag) === weak(etag))
+    }
+    const ifModifiedSince = Date.parse(headers.get("If-Modified-Since") || "")
+    if (Number.isNaN(ifModifiedSince) || !lastModified) return false
+    // Last-Modified only has a precision of seconds
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000)
+}
+
+// True if a Range request may be honoured, given its If-Range header.
+export function ifRangeMatches(headers: Headers, etag: string, lastModified: Date | null): boolean {
+    const ifRange = headers.get("If-Range")
+    if (!ifRange) return true
+    const value = ifRange.trim()
+    // entity tags must match strongly, a weak one never does
+    if (value.startsWith("W/")) return false
+    if (value.startsWith("\"")) return !etag.startsWith("W/") && value === etag
+    const date = Date.parse(value)
+    return !!lastModified && !Number.isNaN(date) &&
+        Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000)
+}
+
+// more ranges are only asked for to make the server do needless work
+const MAX_RANGES = 16
+
+// Parses a Range header against a resource of size bytes. Returns null if the
+// header is missing, malformed or asks for too many ranges, which means the
+// whole resource is sent, and an empty list if no range is satisfiable.
+// Overlapping and adjacent ranges are merged, in ascending order.
+export function parseRange(header: string | null, size: number): ByteRange[] | null {
+    if (!header) return null
+    const match = /^\s*bytes\s*=(.+)$/i.exec(header)
+    if (!match) return null
+    const specs = match[1].split(",")
+    if (specs.length > MAX_RANGES) return null
+    const ranges: ByteRange[] = []
+    for (const spec of specs) {
+        const m = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec)
+        if (!m || (!m[1] && !m[2])) return null
+        let start: number
+        let end: number
+        if (!m[1]) {
+            // suffix range: the last n bytes
+            start = Math.max(size - parseInt(m[2]), 0)
+            end = size - 1
+        } else {
+            start = parseInt(m[1])
+            end = m[2] ? Math.min(parseInt(m[2]), size - 1) : size - 1
+        }
+        if (m[1] && m[2] && parseInt(m[2]) < start) return null
+        if (start < size && start <= end) ranges.push({start, end})
+    }
+    return mergeRanges(ranges)
+}
+
+function mergeRanges(ranges: ByteRange[]): ByteRange[] {
+    const merged: ByteRange[] = []
+    for (const range of ranges.sort((a, b) => a.start - b.start)) {
+        const last = merged[merged.length - 1]
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end)
+        } else {
+            merged.push({...range})
+        }
+    }
+    return merged
+}
+
+function weak(tag: string): string {
+    return tag.trim().replace(/^W\//, "")
+}
@@ -0,0 +1,58 @@
+import {assertEquals} from "../../test_deps.ts"
+import {ifRangeMatches, isFresh, parseRange} from "./conditional.ts"
+
+Deno.test("parseRange reads single, open and suffix ranges", () => {
+    assertEquals(parseRange("bytes=0-9", 100), [{start: 0, end: 9}])
+    assertEquals(parseRange("bytes=90-", 100), [{start: 90, end: 99}])
+    assertEquals(parseRange("bytes=-10", 100), [{start: 90, end: 99}])
+    assertEquals(parseRange("bytes=50-500", 100), [{start: 50, end: 99}])
+    assertEquals(parseRange("bytes=-500", 100), [{start: 0, end: 99}])
+})
+
+Deno.test("parseRange sends the whole resource for missing or malformed headers", () => {
+    assertEquals(parseRange(null, 100), null)
+    assertEquals(parseRange("items=0-9", 100), null)
+    assertEquals(parseRange("bytes=-", 100), null)
+    assertEquals(parseRange("bytes=9-0", 100), null)
+    assertEquals(parseRange("bytes=a-b", 100), null)
+})
+
+Deno.test("parseRange returns no ranges if none is satisfiable", () => {
+    assertEquals(parseRange("bytes=100-", 100), [])
+    assertEquals(parseRange("bytes=200-300, 150-", 100), [])
+})
+
+Deno.test("parseRange merges overlapping and adjacent ranges", () => {
+    assertEquals(parseRange("bytes=50-59, 0-9, 5-14, 15-19", 100), [
+        {start: 0, end: 19},
+        {start: 50, end: 59},
+    ])
+    assertEquals(parseRange("bytes=0-0, 0-0, 0-0", 100), [{start: 0, end: 0}])
+    assertEquals(parseRange("bytes=0-, -10", 100), [{start: 0, end: 99}])
+})
+
+Deno.test("parseRange ignores headers with too many ranges", () => {
+    const specs = Array.from({length: 17}, (_, i) => `${i * 2}-${i * 2}`)
+    assertEquals(parseRange("bytes=" + specs.join(","), 100), null)
+    assertEquals(parseRange("bytes=" + specs.slice(1).join(","), 100)!.length, 16)
+})
+
+Deno.test("isFresh prefers If-None-Match and compares weakly", () => {
+    const date = new Date("2021-01-01T00:00:00Z")
+    assertEquals(isFresh(new Headers({"If-None-Match": "W/\"a\", \"b\""}), "\"a\"", date), true)
+    assertEquals(isFresh(new Headers({
+        "If-None-Match": "\"b\"",
+        "If-Modified-Since": date.toUTCString(),
+    }), "\"a\"", date), false)
+    assertEquals(isFresh(new Headers({"If-Modified-Since": date.toUTCString()}), "\"a\"", date), true)
+    assertEquals(isFresh(new Headers(), "\"a\"", date), false)
+})
+
+Deno.test("ifRangeMatches needs a strong etag or the exact date", () => {
+    const date = new Date("2021-01-01T00:00:00Z")
+    assertEquals(ifRangeMatches(new Headers(), "\"a\"", date), true)
+    assertEquals(ifRangeMatches(new Headers({"If-Range": "\"a\""}), "\"a\"", date), true)
+    assertEquals(ifRangeMatches(new Headers({"If-Range": "W/\"a\""}), "\"a\"", date), false)
+    assertEquals(ifRangeMatches(new Headers({"If-Range": date.toUTCString()}), "\"a\"", date), true)
+    assertEquals(ifRangeMatches(new Headers({"If-Range": new Date(0).toUTCString()}), "\"a\"", date), false)
+})
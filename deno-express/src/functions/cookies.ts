@@ -0,0 +1,116 @@
+import {Handler} from "../../types/index.ts"
+import {CookieOptions} from "../../types/interfaces/CookieOptions.ts"
+
+const encoder = new TextEncoder()
+const TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/
+const SIGNED_PREFIX = "s:"
+
+// Name/value pairs of a Cookie header. Values that aren't valid percent
+// encoding are kept as they are, the first of duplicated names wins.
+export function parseCookies(header: string | null): { [name: string]: string } {
+    const cookies: { [name: string]: string } = {}
+    if (!header) return cookies
+    for (const pair of header.split(";")) {
+        const eq = pair.indexOf("=")
+        if (eq === -1) continue
+        const name = pair.slice(0, eq).trim()
+        if (!name || name in cookies) continue
+        let value = pair.slice(eq + 1).trim()
+        if (value.startsWith("\"") && value.endsWith("\"") && value.length > 1) value = value.slice(1, -1)
+        try {
+            cookies[name] = decodeURIComponent(value)
+        } catch {
+            cookies[name] = value
+        }
+    }
+    return cookies
+}
+
+export function serializeCookie(name: string, value: string, options: CookieOptions = {}): string {
+    if (!TOKEN.test(name)) throw new TypeError(`invalid cookie name: ${name}`)
+    if (options.partitioned && !options.secure) throw new TypeError("partitioned cookies must be secure")
+    if (options.sameSite === "None" && !options.secure) throw new TypeError("SameSite=None cookies must be secure")
+    let cookie = `${name}=${encodeURIComponent(value)}`
+    if (options.path) cookie += `; Path=${options.path}`
+    if (options.domain) cookie += `; Domain=${options.domain}`
+    if (options.maxAge !== undefined) {
+        cookie += `; Max-Age=${Math.floor(options.maxAge)}`
+        // for clients without Max-Age support
+        cookie += `; Expires=${new Date(Date.now() + options.maxAge * 1000).toUTCString()}`
+    } else if (options.expires) {
+        cookie += `; Expires=${options.expires.toUTCString()}`
+    }
+    if (options.httpOnly) cookie += "; HttpOnly"
+    if (options.secure) cookie += "; Secure"
+    if (options.sameSite) cookie += `; SameSite=${options.sameSite}`
+    if (options.partitioned) cookie += "; Partitioned"
+    return cookie
+}
+
+// "s:" + value + "." + HMAC-SHA256 of name and value, so a signed value
+// can't be moved to another cookie.
+export async function signCookie(name: string, value: string, key: CryptoKey): Promise<string> {
+    const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(name + "=" + value))
+    return SIGNED_PREFIX + value + "." + base64url(new Uint8Array(signature))
+}
+
+// The value of a signed cookie if any of the keys signed it, else false.
+// Trying all of them lets secrets be rotated: the new one goes first.
+export async function unsignCookie(name: string, signed: string, keys: CryptoKey[]): Promise<string | false> {
+    if (!signed.startsWith(SIGNED_PREFIX)) return false
+    const dot = signed.lastIndexOf(".")
+    if (dot < SIGNED_PREFIX.length) return false
+    const value = signed.slice(SIGNED_PREFIX.length, dot)
+    const signature = fromBase64url(signed.slice(dot + 1))
+    if (!signature) return false
+    for (const key of keys) {
+        if (await crypto.subtle.verify("HMAC", key, signature, encoder.encode(name + "=" + value))) {
+            return value
+        }
+    }
+    return false
+}
+
+// The key signCookie and unsignCookie take for a secret.
+export function cookieKey(secret: string): Promise<CryptoKey> {
+    return crypto.subtle.importKey(
+        "raw",
+        encoder.encode(secret),
+        {name: "HMAC", hash: "SHA-256"},
+        false,
+        ["sign", "verify"],
+    )
+}
+
+// Verifies signed cookies into req.signedCookies and lets res.cookie sign
+// with the first secret. Signed cookies with a bad signature are left out.
+export function cookieParser(secrets: string | string[] = []): Handler {
+    const list = typeof secrets === "string" ? [secrets] : secrets
+    if (list.some((secret) => typeof secret !== "string" || !secret)) {
+        throw new TypeError("cookie secrets must be non-empty strings")
+    }
+    // imported once, not per request
+    const keys = Promise.all(list.map(cookieKey))
+    return async (req, res, next) => {
+        res.cookieKeys = await keys
+        for (const [name, value] of Object.entries(req.cookies)) {
+            if (!value.startsWith(SIGNED_PREFIX) || !res.cookieKeys.length) continue
+            const unsigned = await unsignCookie(name, value, res.cookieKeys)
+            if (unsigned !== false) req.signedCookies[name] = unsigned
+        }
+        await next()
+    }
+}
+
+function base64url(bytes: Uint8Array): string {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+}
+
+function fromBase64url(text: string): BufferSource | null {
+    try {
+        const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"))
+        return Uint8Array.from(binary, (c) => c.charCodeAt(0))
+    } catch {
+        return null
+    }
+}
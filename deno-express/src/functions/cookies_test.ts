@@ -0,0 +1,62 @@
+import {assertEquals, assertThrows} from "../../test_deps.ts"
+import {fakeRequest} from "../../test_util.ts"
+import {cookieKey, cookieParser, parseCookies, serializeCookie, signCookie, unsignCookie} from "./cookies.ts"
+
+Deno.test("parseCookies decodes values and keeps the first of duplicates", () => {
+    assertEquals(parseCookies("a=1; b=hello%20world; a=2; c=\"quoted\"; d=%E0%A4%A"), {
+        a: "1",
+        b: "hello world",
+        c: "quoted",
+        d: "%E0%A4%A",
+    })
+    assertEquals(parseCookies(null), {})
+    assertEquals(parseCookies("novalue; =x"), {})
+})
+
+Deno.test("serializeCookie encodes the value and attributes", () => {
+    assertEquals(
+        serializeCookie("id", "a b", {path: "/", httpOnly: true, secure: true, sameSite: "Lax"}),
+        "id=a%20b; Path=/; HttpOnly; Secure; SameSite=Lax",
+    )
+    assertThrows(() => serializeCookie("bad name", "x"), TypeError)
+    assertThrows(() => serializeCookie("id", "x", {sameSite: "None"}), TypeError)
+})
+
+Deno.test("signed cookies verify against any of the keys", async () => {
+    const [oldKey, newKey] = await Promise.all([cookieKey("old"), cookieKey("new")])
+    const signed = await signCookie("user", "alice", oldKey)
+    assertEquals(signed.startsWith("s:alice."), true)
+    assertEquals(await unsignCookie("user", signed, [newKey, oldKey]), "alice")
+    assertEquals(await unsignCookie("user", signed, [newKey]), false)
+    // the signature covers the name, values can't be moved between cookies
+    assertEquals(await unsignCookie("admin", signed, [oldKey]), false)
+    assertEquals(await unsignCookie("user", signed.replace("alice", "mallory"), [oldKey]), false)
+    assertEquals(await unsignCookie("user", "s:alice", [oldKey]), false)
+    assertEquals(await unsignCookie("user", "s:alice.!!", [oldKey]), false)
+})
+
+Deno.test("res.cookie signs with the first secret", async () => {
+    const [k1, k2] = await Promise.all([cookieKey("k1"), cookieKey("k2")])
+    const cookie = encodeURIComponent(await signCookie("a", "1", k2))
+    const {req, res} = fakeRequest("GET", "/", {Cookie: `a=${cookie}; b=s:2.bad`})
+    await cookieParser(["k1", "k2"])(req, res, async () => {
+        assertEquals(req.signedCookies, {a: "1"})
+        await res.cookie("c", "3", {signed: true})
+    })
+    const header = res.headers.get("Set-Cookie")!
+    assertEquals(header, "c=" + encodeURIComponent(await signCookie("c", "3", k1)))
+})
+
+Deno.test("signed cookies need a secret", () => {
+    const {res} = fakeRequest("GET", "/")
+    assertThrows(() => res.cookie("c", "3", {signed: true}), Error, "cookieParser")
+    // checked before signing, so the error doesn't hide in the promise
+    assertThrows(() => res.cookie("bad name", "3", {signed: true}), Error)
+    assertThrows(() => cookieParser(""), TypeError)
+})
+
+Deno.test("clearCookie expires the cookie", () => {
+    const {res} = fakeRequest("GET", "/")
+    res.clearCookie("id", {path: "/app"})
+    assertEquals(res.headers.get("Set-Cookie"), "id=; Path=/app; Expires=Thu, 01 Jan 1970 00:00:00 GMT")
+})
@@ -0,0 +1,58 @@
+import {Handler} from "../../types/index.ts"
+import {CorsOptions, CorsOrigin} from "../../types/interfaces/CorsOptions.ts"
+import {Request} from "../Request.ts"
+
+const DEFAULT_METHODS = ["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"]
+
+// Adds CORS headers for allowed origins and answers preflights with 204.
+// Add it before the routes, preflights never reach them.
+export function cors(options: CorsOptions = {}): Handler {
+    const {
+        origin = "*",
+        methods = DEFAULT_METHODS,
+        allowedHeaders,
+        exposedHeaders = [],
+        credentials = false,
+        maxAge,
+    } = options
+    // reflecting every origin with credentials would let any site read
+    // authenticated responses, so the allowed origins must be explicit
+    if (credentials && origin === "*") {
+        throw new TypeError("cors credentials need an explicit origin list or function, not \"*\"")
+    }
+    const anyOrigin = origin === "*"
+
+    return async (req, res, next) => {
+        const requestOrigin = req.headers.get("Origin")
+        if (!anyOrigin) res.vary("Origin")
+        const preflight = req.method === "OPTIONS" && req.headers.has("Access-Control-Request-Method")
+        if (!requestOrigin || !await isAllowed(origin, requestOrigin, req)) {
+            // without CORS headers the browser refuses the response itself
+            return next()
+        }
+        res.headers.set("Access-Control-Allow-Origin", anyOrigin ? "*" : requestOrigin)
+        if (credentials) res.headers.set("Access-Control-Allow-Credentials", "true")
+
+        if (!preflight) {
+            if (exposedHeaders.length) {
+                res.headers.set("Access-Control-Expose-Headers", exposedHeaders.join(", "))
+            }
+            return next()
+        }
+        res.headers.set("Access-Control-Allow-Methods", methods.join(", "))
+        const headers = allowedHeaders
+            ? allowedHeaders.join(", ")
+            : req.headers.get("Access-Control-Request-Headers")
+        if (!allowedHeaders) res.vary("Access-Control-Request-Headers")
+        if (headers) res.headers.set("Access-Control-Allow-Headers", headers)
+        if (maxAge !== undefined) res.headers.set("Access-Control-Max-Age", maxAge + "")
+        res.empty(204)
+    }
+}
+
+async function isAllowed(allowed: CorsOrigin, origin: string, req: Request): Promise<boolean> {
+    if (typeof allowed === "function") return await allowed(origin, req)
+    if (allowed === "*") return true
+    const list = Array.isArray(allowed) ? allowed : [allowed]
+    return list.some((a) => typeof a === "string" ? a === origin : a.test(origin))
+}
@@ -0,0 +1,54 @@
+import {assertEquals, assertThrows} from "../../test_deps.ts"
+import {fakeRequest} from "../../test_util.ts"
+import {cors} from "./cors.ts"
+import {CorsOptions} from "../../types/interfaces/CorsOptions.ts"
+
+async function run(options: CorsOptions, headers: Record<string, string>, method = "GET") {
+    const {req, res} = fakeRequest(method, "/", headers)
+    let reached = false
+    await cors(options)(req, res, async () => {
+        reached = true
+    })
+    return {res, reached}
+}
+
+Deno.test("cors rejects credentials with any origin", () => {
+    assertThrows(() => cors({credentials: true}), TypeError)
+    assertThrows(() => cors({origin: "*", credentials: true}), TypeError)
+})
+
+Deno.test("cors allows any origin with *", async () => {
+    const {res, reached} = await run({}, {Origin: "https://a.test"})
+    assertEquals(res.headers.get("Access-Control-Allow-Origin"), "*")
+    assertEquals(res.headers.get("Vary"), null)
+    assertEquals(reached, true)
+})
+
+Deno.test("cors echoes listed origins only", async () => {
+    const options = {origin: ["https://a.test", /\.b\.test$/], credentials: true}
+    let {res} = await run(options, {Origin: "https://x.b.test"})
+    assertEquals(res.headers.get("Access-Control-Allow-Origin"), "https://x.b.test")
+    assertEquals(res.headers.get("Access-Control-Allow-Credentials"), "true")
+    assertEquals(res.headers.get("Vary"), "Origin");
+    ({res} = await run(options, {Origin: "https://evil.test"}))
+    assertEquals(res.headers.get("Access-Control-Allow-Origin"), null)
+    assertEquals(res.headers.get("Access-Control-Allow-Credentials"), null)
+})
+
+Deno.test("cors accepts an origin predicate", async () => {
+    const options = {origin: (o: string) => o.endsWith(".test"), credentials: true}
+    const {res} = await run(options, {Origin: "https://a.test"})
+    assertEquals(res.headers.get("Access-Control-Allow-Origin"), "https://a.test")
+})
+
+Deno.test("cors answers preflights without reaching the routes", async () => {
+    const {res, reached} = await run({origin: "https://a.test", maxAge: 60}, {
+        Origin: "https://a.test",
+        "Access-Control-Request-Method": "PUT",
+        "Access-Control-Request-Headers": "X-Token",
+    }, "OPTIONS")
+    assertEquals(reached, false)
+    assertEquals(res.status, 204)
+    assertEquals(res.headers.get("Access-Control-Allow-Headers"), "X-Token")
+    assertEquals(res.headers.get("Access-Control-Max-Age"), "60")
+})
@@ -0,0 +1,39 @@
+import {ErrorHandler} from "../../types/index.ts"
+import {STATUS_TEXT} from "../../deps.ts"
+
+// Headers describing the exchange rather than the failed response's content:
+// without CORS headers browsers hide the error from the page, and security
+// headers protect error pages as well.
+const KEPT_HEADERS = new Set([
+    "vary",
+    "content-security-policy",
+    "content-security-policy-report-only",
+    "strict-transport-security",
+    "x-content-type-options",
+    "referrer-policy",
+    "x-frame-options",
+    "permissions-policy",
+])
+
+// Last error handler: replaces whatever the failed handler left in the
+// response with a plain status text, so no error details leak to clients.
+export const defaultErrorHandler: ErrorHandler = (err, req, res) => {
+    let status = 500
+    if (err instanceof Deno.errors.NotFound) {
+        status = 404
+    } else if (Number.isInteger(err?.status) && err.status >= 400 && err.status < 600) {
+        status = err.status
+    }
+    req.error = err instanceof Error ? err : new Error(err + "")
+    res.close()
+    res.resources = []
+    res.headers = new Headers([...res.headers].filter(([name]) => isKept(name)))
+    // the id lets clients report which request failed
+    if (req.context.id) res.headers.set(req.context.idHeader, req.context.id)
+    res.status = status
+    res.send(STATUS_TEXT.get(status) || "Error")
+}
+
+function isKept(name: string): boolean {
+    return KEPT_HEADERS.has(name) || name.startsWith("access-control-")
+}
@@ -0,0 +1,75 @@
+import {Request} from "../Request.ts"
+import {Response} from "../Response.ts"
+import {FileOptions} from "../../types/interfaces/FileOptions.ts"
+
+interface Entry {
+    name: string;
+    type: "file" | "directory";
+    size: number;
+    mtime: string | null;
+}
+
+// Responds with the entries of dir, as JSON if the client prefers it over HTML.
+// Dotfiles are listed only if options.dotfiles allows serving them.
+export async function directoryListing(
+    dir: string,
+    urlPath: string,
+    req: Request,
+    res: Response,
+    options: FileOptions = {},
+): Promise<void> {
+    const entries: Entry[] = []
+    for await (const entry of Deno.readDir(dir)) {
+        if (options.dotfiles !== "allow" && entry.name.startsWith(".")) continue
+        let info: Deno.FileInfo
+        try {
+            info = await Deno.stat(dir + "/" + entry.name)
+        } catch {
+            // a dangling symlink, or gone since it was read
+            continue
+        }
+        entries.push({
+            name: entry.name,
+            type: info.isDirectory ? "directory" : "file",
+            size: info.size,
+            mtime: info.mtime ? info.mtime.toISOString() : null,
+        })
+    }
+    // directories first, then by name
+    entries.sort((a, b) =>
+        a.type === b.type ? a.name.localeCompare(b.name) : a.type === "directory" ? -1 : 1
+    )
+    res.vary("Accept")
+    if (req.accepts("html", "json") === "json") return res.json(entries as any)
+
+    const title = escapeHtml("Index of " + decodeURIComponent(urlPath))
+    const rows = entries.map((e) => {
+        const name = e.name + (e.type === "directory" ? "/" : "")
+        const href = encodeURIComponent(e.name) + (e.type === "directory" ? "/" : "")
+        const size = e.type === "directory" ? "-" : e.size + ""
+        return `<tr><td><a href="${href}">${escapeHtml(name)}</a></td><td>${size}</td><td>${e.mtime || ""}</td></tr>`
+    })
+    if (urlPath !== "/") rows.unshift(`<tr><td><a href="../">../</a></td><td></td><td></td></tr>`)
+    res.headers.set("Content-Type", "text/html; charset=utf-8")
+    res.body = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body>
+<h1>${title}</h1>
+<table>
+<tr><th>Name</th><th>Size</th><th>Modified</th></tr>
+${rows.join("\n")}
+</table>
+</body>
+</html>
+`
+}
+
+function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;")
+}
@@ -0,0 +1,20 @@
+import {assertEquals} from "../../test_deps.ts"
+import {fakeRequest, withTempDir} from "../../test_util.ts"
+import {directoryListing} from "./directoryListing.ts"
+
+async function list(dir: string, dotfiles?: "allow" | "deny" | "ignore") {
+    const {req, res} = fakeRequest("GET", "/", {Accept: "application/json"})
+    await directoryListing(dir, "/", req, res, {dotfiles})
+    return JSON.parse(res.body as string).map((e: { name: string, type: string }) => e.type + ":" + e.name)
+}
+
+Deno.test("directoryListing skips dangling symlinks and hides dotfiles", () => withTempDir({
+    "sub/": "",
+    "a.txt": "a",
+    ".env": "secret",
+}, async (dir) => {
+    await Deno.symlink(dir + "/missing.txt", dir + "/broken")
+    assertEquals(await list(dir), ["directory:sub", "file:a.txt"])
+    assertEquals(await list(dir, "deny"), ["directory:sub", "file:a.txt"])
+    assertEquals(await list(dir, "allow"), ["directory:sub", "file:.env", "file:a.txt"])
+}))
@@ -0,0 +1,48 @@
+// std's Server re-enters accept as soon as its listener fails, so closing the
+// listener alone makes it spin. This wrapper stops accepting on stopAccepting
+// and keeps the Server's accept pending until Server.close ends it. It also
+// counts the open connections, which Server keeps private.
+export function drainableListener(listener: Deno.Listener) {
+    let accepting = true
+    let connections = 0
+    let release!: (e: Error) => void
+    const stopped = new Promise<never>((_, reject) => release = reject)
+    // nobody may be waiting on it when it is released
+    stopped.catch(() => {})
+
+    // Server only ever calls accept and close
+    const wrapped = {
+        async accept(): Promise<Deno.Conn> {
+            return track(await (accepting ? listener.accept() : stopped))
+        },
+        close(): void {
+            stopAccepting()
+            release(new Deno.errors.BadResource("listener closed"))
+        },
+    }
+
+    function stopAccepting(): void {
+        if (!accepting) return
+        accepting = false
+        listener.close()
+    }
+
+    // Server closes every connection it is done with, some more than once
+    function track(conn: Deno.Conn): Deno.Conn {
+        connections++
+        let open = true
+        const close = conn.close.bind(conn)
+        conn.close = () => {
+            if (open) connections--
+            open = false
+            close()
+        }
+        return conn
+    }
+
+    return {
+        listener: wrapped as unknown as Deno.Listener,
+        stopAccepting,
+        connections: () => connections,
+    }
+}
@@ -0,0 +1,52 @@
+import {EndHandler, HealthCheck} from "../../types/index.ts"
+
+// a type rather than an interface, so results pass as Json
+type CheckResult = {
+    status: "ok" | "fail",
+    latencyMs: number,
+    error?: string,
+}
+
+// Answers with the result of all checks, run in parallel: 200 if all of
+// them pass, 503 otherwise. down, if given, fails the route before any
+// check runs, with its reason.
+export function healthHandler(
+    checks: { [name: string]: HealthCheck },
+    timeout: number,
+    down?: () => string | false,
+): EndHandler {
+    return async (req, res) => {
+        const results: { [name: string]: CheckResult } = {}
+        const reason = down ? down() : false
+        if (reason) {
+            results.app = {status: "fail", latencyMs: 0, error: reason}
+        } else {
+            const names = Object.keys(checks)
+            const done = await Promise.all(names.map((name) => runCheck(checks[name], timeout)))
+            names.forEach((name, i) => results[name] = done[i])
+        }
+        const ok = Object.values(results).every((r) => r.status === "ok")
+        res.status = ok ? 200 : 503
+        res.headers.set("Cache-Control", "no-store")
+        res.json({status: ok ? "ok" : "fail", checks: results})
+    }
+}
+
+async function runCheck(check: HealthCheck, timeout: number): Promise<CheckResult> {
+    const begin = Date.now()
+    let timer: ReturnType<typeof setTimeout> | undefined
+    try {
+        const result = await Promise.race([
+            check(),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`timed out after ${timeout} ms`)), timeout)
+            }),
+        ])
+        if (result === false) return {status: "fail", latencyMs: Date.now() - begin, error: "check failed"}
+        return {status: "ok", latencyMs: Date.now() - begin}
+    } catch (e) {
+        return {status: "fail", latencyMs: Date.now() - begin, error: e instanceof Error ? e.message : e + ""}
+    } finally {
+        clearTimeout(timer)
+    }
+}
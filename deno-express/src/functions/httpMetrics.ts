@@ -0,0 +1,40 @@
+import {Handler} from "../../types/index.ts"
+import {MetricsOptions} from "../../types/interfaces/MetricsOptions.ts"
+import {Metrics} from "../Metrics.ts"
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+const METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"]
+
+// Records every request in metrics once its response was written. Labels
+// are kept few: the route pattern instead of the path, the status class
+// instead of the status.
+export function httpMetrics(metrics: Metrics, options: MetricsOptions = {}): Handler {
+    const {buckets = DEFAULT_BUCKETS} = options
+    const requests = metrics.counter("http_requests_total", "Requests answered.")
+    const duration = metrics.histogram(
+        "http_request_duration_seconds",
+        "Time from receiving a request until its response was written.",
+        buckets,
+    )
+    const inFlight = metrics.gauge("http_requests_in_flight", "Requests being handled.")
+    const bytesIn = metrics.counter("http_request_body_bytes_total", "Request body bytes read.")
+    const bytesOut = metrics.counter("http_response_body_bytes_total", "Response body bytes sent.")
+    inFlight.set({}, 0)
+
+    return async (req, res, next) => {
+        inFlight.inc()
+        res.onFinish(() => {
+            inFlight.dec()
+            const labels = {
+                method: METHODS.includes(req.method) ? req.method : "OTHER",
+                route: req.extra.matchedPattern || "unmatched",
+                status: Math.floor(res.status / 100) + "xx",
+            }
+            requests.inc(labels)
+            duration.observe(labels, (Date.now() - req.context.startTime) / 1000)
+            bytesIn.inc(labels, req.bytesReceived)
+            bytesOut.inc(labels, res.bytesSent)
+        })
+        await next()
+    }
+}
@@ -0,0 +1,201 @@
+import {concat, indexOf, writeAll} from "../../deps.ts"
+import {MultipartOptions} from "../../types/interfaces/MultipartOptions.ts"
+import {UploadedFile} from "../../types/interfaces/UploadedFile.ts"
+import {HttpError} from "../HttpError.ts"
+import {Request} from "../Request.ts"
+import {Response} from "../Response.ts"
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+const HEADERS_END = encoder.encode("\r\n\r\n")
+const MAX_HEADERS_SIZE = 16 * 1024
+
+interface PartSink {
+    write(chunk: Uint8Array): Promise<void>;
+    close(): Promise<void>;
+}
+
+// Parses a multipart/form-data body part by part as it streams in, so files
+// never have to be held in memory as a whole unless storage is "memory".
+export async function parseMultipart(
+    req: Request,
+    res: Response,
+    options: MultipartOptions = {},
+): Promise<{ data: any, files: { [name: string]: UploadedFile | UploadedFile[] } }> {
+    const {
+        maxFileSize = 10 * 1024 * 1024,
+        storage = "memory",
+        tempDir,
+    } = options
+    // only an explicit limit may raise the app's maxBodySize, the default
+    // storage keeps everything in memory
+    const maxTotalSize = options.maxTotalSize ?? req.maxBodySize
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(req.headers.get("Content-Type") || "")
+    if (!match) throw new HttpError(400, "missing multipart boundary")
+    const boundary = match[1] || match[2]
+
+    const data: any = {}
+    const files: { [name: string]: UploadedFile | UploadedFile[] } = {}
+    let total = 0
+    const temps: Deno.Closer[] = []
+
+    req.maxBodySize = maxTotalSize
+    const parsing = readParts(req.stream(), boundary, (headers) => {
+        const disposition = parseDisposition(headers.get("Content-Disposition") || "")
+        const name = disposition.name
+        if (name === undefined) throw new HttpError(400, "multipart part without a name")
+        const chunks: Uint8Array[] = []
+        let size = 0
+        const count = (chunk: Uint8Array, max: number) => {
+            size += chunk.byteLength
+            total += chunk.byteLength
+            if (size > max || total > maxTotalSize) throw new HttpError(413)
+        }
+
+        if (disposition.filename === undefined) {
+            return {
+                async write(chunk) {
+                    count(chunk, maxTotalSize)
+                    chunks.push(chunk)
+                },
+                async close() {
+                    add(data, name, decoder.decode(concat(...chunks)))
+                },
+            }
+        }
+
+        const file: UploadedFile = {
+            name,
+            filename: disposition.filename,
+            contentType: headers.get("Content-Type") || "application/octet-stream",
+            size: 0,
+        }
+        let temp: Deno.FsFile | undefined
+        const closeTemp = () => {
+            temp?.close()
+            temp = undefined
+        }
+        return {
+            async write(chunk) {
+                count(chunk, maxFileSize)
+                if (storage === "memory") {
+                    chunks.push(chunk)
+                    return
+                }
+                if (!file.path) {
+                    const path = file.path = await Deno.makeTempFile({dir: tempDir, prefix: "upload-"})
+                    let removed = false
+                    // removed with the response, or at once if the body is bad
+                    const cleanup = {
+                        close() {
+                            closeTemp()
+                            if (removed) return
+                            removed = true
+                            try {
+                                Deno.removeSync(path)
+                            } catch {
+                                // moved away by the handler
+                            }
+                        },
+                    }
+                    temps.push(cleanup)
+                    res.addResource(cleanup)
+                    temp = await Deno.open(path, {write: true})
+                }
+                await writeAll(temp!, chunk)
+            },
+            async close() {
+                file.size = size
+                if (storage === "memory") file.content = concat(...chunks)
+                closeTemp()
+                add(files, name, file)
+            },
+        }
+    })
+    try {
+        await parsing
+    } catch (e) {
+        for (const temp of temps) temp.close()
+        throw e
+    }
+    return {data, files}
+}
+
+async function readParts(
+    stream: ReadableStream<Uint8Array>,
+    boundary: string,
+    onPart: (headers: Headers) => PartSink,
+): Promise<void> {
+    const reader = stream.getReader()
+    const dashBoundary = encoder.encode("--" + boundary)
+    const delimiter = encoder.encode("\r\n--" + boundary)
+    let buf: Uint8Array = new Uint8Array(0)
+
+    async function fill(): Promise<void> {
+        const {done, value} = await reader.read()
+        if (done || !value) throw new HttpError(400, "malformed multipart body")
+        buf = concat(buf, value)
+    }
+
+    // skip the preamble up to the first boundary
+    let start: number
+    while ((start = indexOf(buf, dashBoundary)) === -1) await fill()
+    buf = buf.subarray(start + dashBoundary.length)
+
+    while (true) {
+        while (buf.length < 2) await fill()
+        // "--" after a boundary closes the body
+        if (buf[0] === 45 && buf[1] === 45) break
+
+        let end: number
+        while ((end = indexOf(buf, HEADERS_END)) === -1) {
+            if (buf.length > MAX_HEADERS_SIZE) throw new HttpError(400, "multipart headers too large")
+            await fill()
+        }
+        const sink = onPart(parseHeaders(decoder.decode(buf.subarray(0, end))))
+        buf = buf.subarray(end + HEADERS_END.length)
+
+        while (true) {
+            const at = indexOf(buf, delimiter)
+            if (at !== -1) {
+                await sink.write(buf.subarray(0, at))
+                buf = buf.subarray(at + delimiter.length)
+                break
+            }
+            // the tail may be the start of a delimiter split across chunks
+            const safe = buf.length - delimiter.length + 1
+            if (safe > 0) {
+                await sink.write(buf.subarray(0, safe))
+                buf = buf.subarray(safe)
+            }
+            await fill()
+        }
+        await sink.close()
+    }
+    reader.releaseLock()
+}
+
+function parseHeaders(text: string): Headers {
+    const headers = new Headers()
+    for (const line of text.split("\r\n")) {
+        const colon = line.indexOf(":")
+        if (colon > 0) headers.append(line.slice(0, colon).trim(), line.slice(colon + 1).trim())
+    }
+    return headers
+}
+
+function parseDisposition(value: string): { name?: string, filename?: string } {
+    const params: { [key: string]: string } = {}
+    const re = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g
+    let m: RegExpExecArray | null
+    while ((m = re.exec(value)) !== null) {
+        params[m[1].toLowerCase()] = m[2] !== undefined ? m[2].replace(/\\(.)/g, "$1") : m[3].trim()
+    }
+    return {name: params.name, filename: params.filename}
+}
+
+function add(target: any, key: string, value: any): void {
+    if (Array.isArray(target[key])) target[key] = [...target[key], value]
+    else if (target[key] !== undefined) target[key] = [target[key], value]
+    else target[key] = value
+}
@@ -0,0 +1,70 @@
+import {assertEquals, assertThrowsAsync} from "../../test_deps.ts"
+import {fakeRequest, withTempDir} from "../../test_util.ts"
+import {HttpError} from "../HttpError.ts"
+import {UploadedFile} from "../../types/interfaces/UploadedFile.ts"
+import {parseMultipart} from "./multipart.ts"
+
+function form(parts: string[]) {
+    const body = parts.map((part) => "--xyz\r\n" + part + "\r\n").join("") + "--xyz--\r\n"
+    return fakeRequest("POST", "/", {"Content-Type": "multipart/form-data; boundary=xyz"}, body)
+}
+
+const field = "Content-Disposition: form-data; name=\"title\"\r\n\r\nhello"
+const upload = (content: string) =>
+    "Content-Disposition: form-data; name=\"doc\"; filename=\"a.txt\"\r\nContent-Type: text/plain\r\n\r\n" + content
+
+async function tempFiles(dir: string): Promise<string[]> {
+    const names = []
+    for await (const entry of Deno.readDir(dir)) names.push(entry.name)
+    return names
+}
+
+Deno.test("parseMultipart reads fields and files", async () => {
+    const {req, res} = form([field, upload("file content")])
+    const {data, files} = await parseMultipart(req, res)
+    assertEquals(data, {title: "hello"})
+    const doc = files.doc as UploadedFile
+    assertEquals(doc.filename, "a.txt")
+    assertEquals(doc.size, 12)
+    assertEquals(new TextDecoder().decode(doc.content), "file content")
+})
+
+Deno.test("parseMultipart removes temp files with the response", () => withTempDir({}, async (tempDir) => {
+    const {req, res} = form([upload("file content")])
+    const {files} = await parseMultipart(req, res, {storage: "disk", tempDir})
+    const doc = files.doc as UploadedFile
+    assertEquals(await Deno.readTextFile(doc.path!), "file content")
+    res.close()
+    assertEquals(await tempFiles(tempDir), [])
+}))
+
+Deno.test("parseMultipart removes partial temp files of bad bodies", () => withTempDir({}, async (tempDir) => {
+    // the first file got a temp file by the time the second is too large
+    const {req, res} = form([upload("ok"), upload("x".repeat(100))])
+    const error = await assertThrowsAsync(
+        () => parseMultipart(req, res, {storage: "disk", tempDir, maxFileSize: 10}),
+        HttpError,
+    )
+    assertEquals((error as HttpError).status, 413)
+    // closed and removed before the response is
+    assertEquals(await tempFiles(tempDir), [])
+    res.close()
+}))
+
+Deno.test("parseMultipart rejects bodies without a boundary or names", async () => {
+    let {req, res} = fakeRequest("POST", "/", {"Content-Type": "multipart/form-data"}, "x")
+    await assertThrowsAsync(() => parseMultipart(req, res), HttpError, "boundary");
+    ({req, res} = form(["Content-Disposition: form-data\r\n\r\nx"]))
+    await assertThrowsAsync(() => parseMultipart(req, res), HttpError, "name")
+})
+
+Deno.test("parseMultipart keeps the request's body limit by default", async () => {
+    let {req, res} = form([upload("x".repeat(100))])
+    req.maxBodySize = 50
+    const error = await assertThrowsAsync(() => parseMultipart(req, res), HttpError)
+    assertEquals((error as HttpError).status, 413);
+    ({req, res} = form([upload("x".repeat(100))]))
+    req.maxBodySize = 50
+    const {files} = await parseMultipart(req, res, {maxTotalSize: 1000})
+    assertEquals((files.doc as UploadedFile).size, 100)
+})
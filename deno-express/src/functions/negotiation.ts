@@ -0,0 +1,102 @@
+import {lookup} from "../../deps.ts"
+
+interface Range {
+    value: string;
+    q: number;
+    index: number;
+}
+
+// How specifically a range of the header matches a value, -1 if it doesn't.
+type Specificity = (range: string, value: string) => number
+
+export function parseQualityHeader(header: string): Range[] {
+    const ranges: Range[] = []
+    header.split(",").forEach((part, index) => {
+        const [value, ...params] = part.split(";").map((s) => s.trim())
+        if (!value) return
+        let q = 1
+        for (const param of params) {
+            const [key, v] = param.split("=").map((s) => s.trim())
+            if (key.toLowerCase() === "q") q = parseFloat(v)
+        }
+        ranges.push({value: value.toLowerCase(), q: Number.isNaN(q) ? 0 : q, index})
+    })
+    return ranges
+}
+
+// Orders the available values by the client's preference and drops the ones
+// it refuses (q=0 or not matched). Ties keep the order of the header, then
+// the order of the available values.
+function preferred(ranges: Range[], available: string[], specificity: Specificity): string[] {
+    return available
+        .map((value, order) => {
+            let best = {q: 0, s: -1, index: Infinity}
+            for (const range of ranges) {
+                const s = specificity(range.value, value.toLowerCase())
+                if (s < 0) continue
+                if (s > best.s || (s === best.s && range.q > best.q)) {
+                    best = {q: range.q, s, index: range.index}
+                }
+            }
+            return {value, order, ...best}
+        })
+        .filter((v) => v.q > 0)
+        .sort((a, b) => b.q - a.q || b.s - a.s || a.index - b.index || a.order - b.order)
+        .map((v) => v.value)
+}
+
+// Everything the header accepts, most preferred first.
+function accepted(ranges: Range[]): string[] {
+    return ranges
+        .filter((r) => r.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map((r) => r.value)
+}
+
+function mediaSpecificity(range: string, value: string): number {
+    const [type, subtype] = range.split("/")
+    const [valueType, valueSubtype] = value.split(";")[0].trim().split("/")
+    if (type === "*" && subtype === "*") return 0
+    if (type !== valueType) return -1
+    if (subtype === "*") return 1
+    return subtype === valueSubtype ? 2 : -1
+}
+
+function languageSpecificity(range: string, value: string): number {
+    if (range === "*") return 0
+    if (range === value) return 2
+    return value.startsWith(range + "-") ? 1 : -1
+}
+
+function encodingSpecificity(range: string, value: string): number {
+    if (range === "*") return 0
+    return range === value ? 1 : -1
+}
+
+// Types may be given as extensions ("json") or media types ("text/html").
+export function preferredMediaTypes(header: string | null, types: string[]): string[] {
+    const ranges = parseQualityHeader(header ?? "*/*")
+    if (!types.length) return accepted(ranges)
+    const mediaTypes = types.map((t) => t.includes("/") ? t : lookup(t) || "")
+    return preferred(ranges, mediaTypes, mediaSpecificity)
+        .filter((t) => t)
+        .map((t) => types[mediaTypes.indexOf(t)])
+}
+
+export function preferredLanguages(header: string | null, languages: string[]): string[] {
+    const ranges = parseQualityHeader(header ?? "*")
+    if (!languages.length) return accepted(ranges)
+    return preferred(ranges, languages, languageSpecificity)
+}
+
+export function preferredEncodings(header: string | null, encodings: string[]): string[] {
+    const ranges = parseQualityHeader(header ?? "*")
+    // identity is acceptable unless the header refuses it explicitly, but
+    // only as the least preferred choice
+    if (!ranges.some((r) => r.value === "identity" || r.value === "*")) {
+        const q = Math.min(1, ...ranges.filter((r) => r.q > 0).map((r) => r.q))
+        ranges.push({value: "identity", q, index: ranges.length})
+    }
+    if (!encodings.length) return accepted(ranges)
+    return preferred(ranges, encodings, encodingSpecificity)
+}
@@ -0,0 +1,51 @@
+import {assertEquals} from "../../test_deps.ts"
+import {fakeRequest} from "../../test_util.ts"
+import {parseQualityHeader, preferredEncodings, preferredLanguages, preferredMediaTypes} from "./negotiation.ts"
+
+Deno.test("parseQualityHeader reads q-values, invalid ones refuse", () => {
+    assertEquals(parseQualityHeader("text/HTML, application/json;q=0.5, */*;q=x"), [
+        {value: "text/html", q: 1, index: 0},
+        {value: "application/json", q: 0.5, index: 1},
+        {value: "*/*", q: 0, index: 2},
+    ])
+})
+
+Deno.test("preferredMediaTypes ranks by q-value, then specificity", () => {
+    const header = "text/*;q=0.8, text/html, */*;q=0.1"
+    assertEquals(preferredMediaTypes(header, ["json", "text/plain", "html"]), ["html", "text/plain", "json"])
+    // the most specific range decides, even with a lower q-value
+    assertEquals(preferredMediaTypes("text/*, text/plain;q=0.2", ["text/plain", "text/css"]), [
+        "text/css",
+        "text/plain",
+    ])
+    assertEquals(preferredMediaTypes("text/html;q=0", ["html", "json"]), [])
+    assertEquals(preferredMediaTypes(null, ["json", "html"]), ["json", "html"])
+    assertEquals(preferredMediaTypes("application/json, text/html;q=0.9", []), ["application/json", "text/html"])
+})
+
+Deno.test("preferredLanguages matches prefixes of language tags", () => {
+    assertEquals(preferredLanguages("en;q=0.8, de-CH, fr;q=0", ["fr", "en-US", "de-ch"]), ["de-ch", "en-US"])
+    assertEquals(preferredLanguages("en-US", ["en"]), [])
+})
+
+Deno.test("preferredEncodings accepts identity last unless refused", () => {
+    assertEquals(preferredEncodings("gzip, br;q=0.9", ["identity", "br", "gzip"]), ["gzip", "br", "identity"])
+    assertEquals(preferredEncodings("", ["gzip", "identity"]), ["identity"])
+    assertEquals(preferredEncodings("gzip, identity;q=0", ["gzip", "identity"]), ["gzip"])
+    assertEquals(preferredEncodings("*;q=0", ["gzip", "identity"]), [])
+    assertEquals(preferredEncodings(null, ["gzip", "identity"]), ["gzip", "identity"])
+})
+
+Deno.test("res.format runs the preferred handler or answers 406", async () => {
+    let {req, res} = fakeRequest("GET", "/", {Accept: "application/json;q=0.9, text/html"})
+    await res.format({
+        json: () => res.json({}),
+        html: () => res.send("html"),
+    })
+    assertEquals(res.body, "html")
+    assertEquals(res.headers.get("Vary"), "Accept");
+    ({req, res} = fakeRequest("GET", "/", {Accept: "image/png"}))
+    await res.format({json: () => res.json({})})
+    assertEquals(res.status, 406)
+    assertEquals(req.accepts("json", "png"), "png")
+})
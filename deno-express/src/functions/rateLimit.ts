@@ -0,0 +1,139 @@
+import {Handler} from "../../types/index.ts"
+import {RateLimitOptions} from "../../types/interfaces/RateLimitOptions.ts"
+import {STATUS_TEXT} from "../../deps.ts"
+import {MemoryRateLimitStore} from "../MemoryRateLimitStore.ts"
+import {Request} from "../Request.ts"
+
+interface RateLimitResult {
+    allowed: boolean;
+    remaining: number;
+    // ms until the full limit is available again
+    reset: number;
+    // ms until the next request is allowed, 0 if this one was
+    retryAfter: number;
+}
+
+interface Bucket {
+    tokens: number;
+    updated: number;
+}
+
+interface Windows {
+    start: number;
+    current: number;
+    previous: number;
+}
+
+let limiters = 0
+
+// Limits how often a client may request what comes after it; with a prefix,
+// app.use("/login", rateLimit({limit: 5})), it limits only those routes.
+// Limited requests are answered with 429 and Retry-After.
+export function rateLimit(options: RateLimitOptions = {}): Handler {
+    const {
+        limit = 60,
+        window = 60 * 1000,
+        strategy = "sliding-window",
+        key = "ip",
+        store = new MemoryRateLimitStore(),
+        name = "limiter" + ++limiters,
+        headers = true,
+        skip,
+    } = options
+    const policy = `${limit};w=${Math.ceil(window / 1000)}`
+
+    return async (req, res, next) => {
+        if (skip && skip(req)) return next()
+        const client = await clientKey(req, key)
+        const now = Date.now()
+        const result = strategy === "token-bucket"
+            ? await store.update<Bucket, RateLimitResult>(`${name}:${client}`, window, (bucket) => {
+                return tokenBucket(bucket, limit, window, now)
+            })
+            : await store.update<Windows, RateLimitResult>(`${name}:${client}`, 2 * window, (windows) => {
+                return slidingWindow(windows, limit, window, now)
+            })
+        if (headers || !result.allowed) {
+            res.headers.set("RateLimit-Policy", policy)
+            res.headers.set("RateLimit-Limit", limit + "")
+            res.headers.set("RateLimit-Remaining", result.remaining + "")
+            res.headers.set("RateLimit-Reset", Math.ceil(result.reset / 1000) + "")
+        }
+        if (result.allowed) return next()
+        res.headers.set("Retry-After", Math.max(1, Math.ceil(result.retryAfter / 1000)) + "")
+        res.status = 429
+        res.send(STATUS_TEXT.get(429) || "Too Many Requests")
+    }
+}
+
+async function clientKey(req: Request, key: RateLimitOptions["key"]): Promise<string> {
+    if (typeof key === "function") return await key(req)
+    if (key && key !== "ip") {
+        // every proxy appends the address it got the request from, entries
+        // before those of the trusted proxies were sent by the client itself
+        const entries = (req.headers.get(key.header) || "").split(",").map((e) => e.trim())
+        const value = entries[entries.length - (key.trustedProxies ?? 1)]
+        if (value) return value
+    }
+    const addr = req.raw.conn?.remoteAddr
+    return addr && "hostname" in addr ? addr.hostname : "unknown"
+}
+
+// Holds up to limit tokens, refilled at limit per window; a request takes
+// one. Allows bursts of limit after a quiet period.
+function tokenBucket(
+    bucket: Bucket | undefined,
+    limit: number,
+    window: number,
+    now: number,
+): [Bucket, RateLimitResult] {
+    const rate = limit / window
+    let tokens = bucket ? Math.min(limit, bucket.tokens + (now - bucket.updated) * rate) : limit
+    const allowed = tokens >= 1
+    if (allowed) tokens -= 1
+    return [{tokens, updated: now}, {
+        allowed,
+        remaining: Math.floor(tokens),
+        reset: (limit - tokens) / rate,
+        retryAfter: allowed ? 0 : (1 - tokens) / rate,
+    }]
+}
+
+// Counts requests in fixed windows and estimates the count of the sliding
+// window ending now by weighing the previous window by its overlap.
+function slidingWindow(
+    windows: Windows | undefined,
+    limit: number,
+    window: number,
+    now: number,
+): [Windows, RateLimitResult] {
+    const start = now - now % window
+    let current = 0
+    let previous = 0
+    if (windows && windows.start === start) {
+        current = windows.current
+        previous = windows.previous
+    } else if (windows && windows.start === start - window) {
+        previous = windows.current
+    }
+    const elapsed = now - start
+    const weight = 1 - elapsed / window
+    const allowed = previous * weight + current + 1 <= limit
+    if (allowed) current++
+    return [{start, current, previous}, {
+        allowed,
+        remaining: Math.max(0, Math.floor(limit - previous * weight - current)),
+        reset: window - elapsed,
+        retryAfter: allowed ? 0 : retryAfter(previous, current, limit - 1, window, elapsed),
+    }]
+}
+
+// ms until previous * weight + current drops to max, with the weight falling
+// over the window and the current count becoming the previous one after it.
+function retryAfter(previous: number, current: number, max: number, window: number, elapsed: number): number {
+    if (current <= max && previous > 0) {
+        return Math.max(0, window * (1 - (max - current) / previous) - elapsed)
+    }
+    const next = current > max ? window * (1 - max / current) : 0
+    return window - elapsed + Math.max(0, next)
+}
@@ -0,0 +1,57 @@
+import {assertEquals} from "../../test_deps.ts"
+import {fakeRequest} from "../../test_util.ts"
+import {rateLimit} from "./rateLimit.ts"
+import {Handler} from "../../types/index.ts"
+
+async function hit(limiter: Handler, headers: Record<string, string> = {}) {
+    const {req, res} = fakeRequest("GET", "/", headers)
+    let reached = false
+    await limiter(req, res, async () => {
+        reached = true
+    })
+    return {res, reached}
+}
+
+Deno.test("rateLimit answers 429 once the limit is used up", async () => {
+    for (const strategy of ["sliding-window", "token-bucket"] as const) {
+        const limiter = rateLimit({limit: 2, window: 60 * 1000, strategy})
+        assertEquals((await hit(limiter)).reached, true)
+        const second = await hit(limiter)
+        assertEquals(second.reached, true)
+        assertEquals(second.res.headers.get("RateLimit-Remaining"), "0")
+        const third = await hit(limiter)
+        assertEquals(third.reached, false)
+        assertEquals(third.res.status, 429)
+        assertEquals(third.res.headers.has("Retry-After"), true)
+    }
+})
+
+Deno.test("rateLimit keys on the socket address by default", async () => {
+    const limiter = rateLimit({limit: 1})
+    assertEquals((await hit(limiter, {"X-Forwarded-For": "10.0.0.1"})).reached, true)
+    // a forged header doesn't make a new client
+    assertEquals((await hit(limiter, {"X-Forwarded-For": "10.0.0.2"})).reached, false)
+})
+
+Deno.test("rateLimit ignores X-Forwarded-For entries the client sent", async () => {
+    const limiter = rateLimit({limit: 1, key: {header: "X-Forwarded-For"}})
+    assertEquals((await hit(limiter, {"X-Forwarded-For": "1.1.1.1, 10.0.0.1"})).reached, true)
+    assertEquals((await hit(limiter, {"X-Forwarded-For": "2.2.2.2, 10.0.0.1"})).reached, false)
+    assertEquals((await hit(limiter, {"X-Forwarded-For": "10.0.0.2"})).reached, true)
+})
+
+Deno.test("rateLimit counts trusted proxies from the right", async () => {
+    const limiter = rateLimit({limit: 1, key: {header: "X-Forwarded-For", trustedProxies: 2}})
+    assertEquals((await hit(limiter, {"X-Forwarded-For": "1.1.1.1, 10.0.0.1, 192.168.0.1"})).reached, true)
+    assertEquals((await hit(limiter, {"X-Forwarded-For": "2.2.2.2, 10.0.0.1, 192.168.0.2"})).reached, false)
+    // too few entries, the socket address is used
+    assertEquals((await hit(limiter, {"X-Forwarded-For": "10.0.0.3"})).reached, true)
+    assertEquals((await hit(limiter)).reached, false)
+})
+
+Deno.test("rateLimit counts each limiter separately", async () => {
+    const a = rateLimit({limit: 1})
+    const b = rateLimit({limit: 1})
+    assertEquals((await hit(a)).reached, true)
+    assertEquals((await hit(b)).reached, true)
+})
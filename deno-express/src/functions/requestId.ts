@@ -0,0 +1,19 @@
+import {Handler} from "../../types/index.ts"
+import {RequestIdOptions} from "../../types/interfaces/RequestIdOptions.ts"
+
+// ids from clients end up in logs, so only short and harmless ones are kept
+const VALID_ID = /^[\w\-.:+=\/]{1,200}$/
+
+// Sets req.context.id from the request header or a new id and echoes it in
+// the response. Add it first, so everything after it can log the id.
+export function requestId(options: RequestIdOptions = {}): Handler {
+    const {header = "X-Request-Id", trustIncoming = true, generate = () => crypto.randomUUID()} = options
+    return async (req, res, next) => {
+        const incoming = trustIncoming ? req.headers.get(header) : null
+        const id = incoming && VALID_ID.test(incoming) ? incoming : generate()
+        req.context.id = id
+        req.context.idHeader = header
+        res.headers.set(header, id)
+        await next()
+    }
+}
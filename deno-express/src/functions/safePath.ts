@@ -0,0 +1,36 @@
+import {FileOptions} from "../../types/interfaces/FileOptions.ts"
+import {path} from "../../deps.ts"
+import {HttpError} from "../HttpError.ts"
+
+// Resolves the decoded, root relative path to a file path inside root.
+// Throws 403 for paths escaping root and 400 or 404 for paths that must not
+// be served.
+export async function resolveInRoot(
+    root: string,
+    relative: string,
+    options: FileOptions = {},
+): Promise<string> {
+    const {dotfiles = "ignore", symlinks = "root"} = options
+    if (relative.includes("\0")) throw new HttpError(400, "null byte in path")
+    const segments = relative.split(/[\\/]+/).filter((s) => s && s !== ".")
+    if (segments.includes("..")) throw new HttpError(403, "path outside of root")
+    if (dotfiles !== "allow" && segments.some((s) => s.startsWith("."))) {
+        throw new HttpError(dotfiles === "deny" ? 403 : 404)
+    }
+    const absoluteRoot = path.resolve(root)
+    const filePath = path.join(absoluteRoot, ...segments)
+    if (!isInside(absoluteRoot, filePath)) throw new HttpError(403, "path outside of root")
+    if (symlinks === "follow") return filePath
+
+    const realRoot = await Deno.realPath(absoluteRoot)
+    const realPath = await Deno.realPath(filePath)
+    const allowed = symlinks === "root"
+        ? isInside(realRoot, realPath)
+        : realPath === path.join(realRoot, ...segments)
+    if (!allowed) throw new HttpError(403, "symlink not allowed")
+    return filePath
+}
+
+function isInside(root: string, filePath: string): boolean {
+    return filePath === root || filePath.startsWith(root.endsWith(path.SEP) ? root : root + path.SEP)
+}
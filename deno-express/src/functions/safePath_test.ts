@@ -0,0 +1,51 @@
+import {assertEquals, assertThrowsAsync} from "../../test_deps.ts"
+import {withTempDir} from "../../test_util.ts"
+import {HttpError} from "../HttpError.ts"
+import {FileOptions} from "../../types/interfaces/FileOptions.ts"
+import {resolveInRoot} from "./safePath.ts"
+
+// root holds links to a file inside and one outside of it
+const withRoot = (fn: (root: string) => Promise<void>) => withTempDir({
+    "root/sub/a.txt": "a",
+    "root/.env": "secret",
+    "outside.txt": "outside",
+}, async (base) => {
+    await Deno.symlink(base + "/outside.txt", base + "/root/out-link")
+    await Deno.symlink(base + "/root/sub/a.txt", base + "/root/in-link")
+    await fn(await Deno.realPath(base + "/root"))
+})
+
+async function status(root: string, relative: string, options: FileOptions = {}): Promise<number> {
+    const error = await assertThrowsAsync(() => resolveInRoot(root, relative, options), HttpError)
+    return (error as HttpError).status
+}
+
+Deno.test("resolveInRoot resolves paths inside the root", () => withRoot(async (root) => {
+    assertEquals(await resolveInRoot(root, "/sub/a.txt"), root + "/sub/a.txt")
+    assertEquals(await resolveInRoot(root, "sub//./a.txt"), root + "/sub/a.txt")
+    assertEquals(await resolveInRoot(root, "/"), root)
+}))
+
+Deno.test("resolveInRoot refuses paths leaving the root", () => withRoot(async (root) => {
+    assertEquals(await status(root, "/../outside.txt"), 403)
+    assertEquals(await status(root, "/sub/../../outside.txt"), 403)
+    assertEquals(await status(root, "\\..\\outside.txt"), 403)
+    assertEquals(await status(root, "/sub/a.txt\0.png"), 400)
+}))
+
+Deno.test("resolveInRoot hides dotfiles unless allowed", () => withRoot(async (root) => {
+    assertEquals(await status(root, "/.env"), 404)
+    assertEquals(await status(root, "/.env", {dotfiles: "deny"}), 403)
+    assertEquals(await resolveInRoot(root, "/.env", {dotfiles: "allow"}), root + "/.env")
+}))
+
+Deno.test("resolveInRoot follows symlinks by policy", () => withRoot(async (root) => {
+    assertEquals(await resolveInRoot(root, "/in-link"), root + "/in-link")
+    assertEquals(await status(root, "/out-link"), 403)
+    assertEquals(await status(root, "/in-link", {symlinks: "deny"}), 403)
+    assertEquals(await resolveInRoot(root, "/out-link", {symlinks: "follow"}), root + "/out-link")
+}))
+
+Deno.test("resolveInRoot fails with NotFound for missing files", () => withRoot(async (root) => {
+    await assertThrowsAsync(() => resolveInRoot(root, "/missing.txt"), Deno.errors.NotFound)
+}))
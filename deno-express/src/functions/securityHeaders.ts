@@ -0,0 +1,99 @@
+import {Handler} from "../../types/index.ts"
+import {CspOptions, HstsOptions, SecurityHeadersOptions} from "../../types/interfaces/SecurityHeadersOptions.ts"
+
+const DEFAULT_DIRECTIVES: { [name: string]: string[] | boolean } = {
+    "default-src": ["'self'"],
+    "base-uri": ["'self'"],
+    "font-src": ["'self'", "https:", "data:"],
+    "form-action": ["'self'"],
+    "frame-ancestors": ["'self'"],
+    "img-src": ["'self'", "data:"],
+    "object-src": ["'none'"],
+    "script-src": ["'self'"],
+    "script-src-attr": ["'none'"],
+    "style-src": ["'self'", "https:", "'unsafe-inline'"],
+    "upgrade-insecure-requests": true,
+}
+
+const DEFAULT_PERMISSIONS: { [feature: string]: string[] } = {
+    camera: [],
+    geolocation: [],
+    microphone: [],
+    payment: [],
+    usb: [],
+}
+
+// Sets security headers before the handlers run, so they may still change
+// or delete single headers for their responses.
+export function securityHeaders(options: SecurityHeadersOptions = {}): Handler {
+    const {
+        contentSecurityPolicy = {},
+        strictTransportSecurity = {},
+        noSniff = true,
+        referrerPolicy = "no-referrer",
+        frameOptions = "SAMEORIGIN",
+        permissionsPolicy = DEFAULT_PERMISSIONS,
+    } = options
+    const csp = contentSecurityPolicy && cspHeader(contentSecurityPolicy)
+    const hsts = strictTransportSecurity && hstsHeader(strictTransportSecurity)
+    const permissions = permissionsPolicy && Object.entries(permissionsPolicy)
+        .map(([feature, origins]) => `${feature}=(${origins.join(" ")})`)
+        .join(", ")
+
+    return async (req, res, next) => {
+        const headers = res.headers
+        headers.delete("Content-Security-Policy")
+        headers.delete("Content-Security-Policy-Report-Only")
+        if (csp) {
+            // an outer use may have created the nonce already
+            const nonce = csp.nonce ? req.context.cspNonce ??= createNonce() : ""
+            headers.set(csp.name, csp.value(nonce))
+        }
+        setOrDelete(headers, "Strict-Transport-Security", hsts)
+        setOrDelete(headers, "X-Content-Type-Options", noSniff && "nosniff")
+        setOrDelete(headers, "Referrer-Policy", referrerPolicy)
+        setOrDelete(headers, "X-Frame-Options", frameOptions)
+        setOrDelete(headers, "Permissions-Policy", permissions)
+        await next()
+    }
+}
+
+function setOrDelete(headers: Headers, name: string, value: string | false): void {
+    if (value) headers.set(name, value)
+    else headers.delete(name)
+}
+
+function cspHeader(options: CspOptions) {
+    const {directives = {}, useDefaults = true, reportOnly = false, nonce = false, styleNonce = false} = options
+    const merged = useDefaults ? {...DEFAULT_DIRECTIVES, ...directives} : directives
+    const nonceDirectives = styleNonce ? ["script-src", "style-src"] : ["script-src"]
+    return {
+        name: reportOnly ? "Content-Security-Policy-Report-Only" : "Content-Security-Policy",
+        nonce,
+        value(nonceValue: string): string {
+            return Object.entries(merged)
+                .filter(([, value]) => value !== false)
+                .map(([name, value]) => {
+                    if (value === true) return name
+                    const sources = value as string[]
+                    const withNonce = nonceValue && nonceDirectives.includes(name)
+                        ? [...sources, `'nonce-${nonceValue}'`]
+                        : sources
+                    return [name, ...withNonce].join(" ")
+                })
+                .join("; ")
+        },
+    }
+}
+
+function hstsHeader(options: HstsOptions): string {
+    const {maxAge = 180 * 24 * 60 * 60, includeSubDomains = true, preload = false} = options
+    let value = `max-age=${maxAge}`
+    if (includeSubDomains) value += "; includeSubDomains"
+    if (preload) value += "; preload"
+    return value
+}
+
+function createNonce(): string {
+    return btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))))
+}
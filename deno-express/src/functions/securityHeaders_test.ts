@@ -0,0 +1,52 @@
+import {assert, assertEquals} from "../../test_deps.ts"
+import {fakeRequest} from "../../test_util.ts"
+import {SecurityHeadersOptions} from "../../types/interfaces/SecurityHeadersOptions.ts"
+import {securityHeaders} from "./securityHeaders.ts"
+
+async function run(options: SecurityHeadersOptions = {}) {
+    const {req, res} = fakeRequest("GET", "/")
+    await securityHeaders(options)(req, res, async () => {})
+    return {req, res}
+}
+
+function directive(csp: string, name: string): string | undefined {
+    return csp.split("; ").find((d) => d.startsWith(name + " "))
+}
+
+Deno.test("securityHeaders sets the default headers", async () => {
+    const {res} = await run()
+    const csp = res.headers.get("Content-Security-Policy")!
+    assertEquals(directive(csp, "default-src"), "default-src 'self'")
+    assert(csp.includes("upgrade-insecure-requests"))
+    assertEquals(res.headers.get("X-Content-Type-Options"), "nosniff")
+    assertEquals(res.headers.get("Strict-Transport-Security"), "max-age=15552000; includeSubDomains")
+    assertEquals(res.headers.get("X-Frame-Options"), "SAMEORIGIN")
+})
+
+Deno.test("securityHeaders adds the nonce to script-src only by default", async () => {
+    const {req, res} = await run({contentSecurityPolicy: {nonce: true}})
+    const nonce = req.context.cspNonce
+    assert(nonce)
+    const csp = res.headers.get("Content-Security-Policy")!
+    assertEquals(directive(csp, "script-src"), `script-src 'self' 'nonce-${nonce}'`)
+    // a nonce would make browsers ignore 'unsafe-inline'
+    assertEquals(directive(csp, "style-src"), "style-src 'self' https: 'unsafe-inline'")
+})
+
+Deno.test("securityHeaders adds the nonce to style-src on request", async () => {
+    const {req, res} = await run({contentSecurityPolicy: {nonce: true, styleNonce: true}})
+    const csp = res.headers.get("Content-Security-Policy")!
+    assertEquals(directive(csp, "style-src"), `style-src 'self' https: 'unsafe-inline' 'nonce-${req.context.cspNonce}'`)
+})
+
+Deno.test("securityHeaders drops headers turned off", async () => {
+    const {res} = await run({
+        contentSecurityPolicy: {directives: {"upgrade-insecure-requests": false}, reportOnly: true},
+        strictTransportSecurity: false,
+        frameOptions: false,
+    })
+    assertEquals(res.headers.has("Content-Security-Policy"), false)
+    assert(!res.headers.get("Content-Security-Policy-Report-Only")!.includes("upgrade-insecure-requests"))
+    assertEquals(res.headers.has("Strict-Transport-Security"), false)
+    assertEquals(res.headers.has("X-Frame-Options"), false)
+})
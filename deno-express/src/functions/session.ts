@@ -0,0 +1,37 @@
+import {Handler} from "../../types/index.ts"
+import {SessionOptions} from "../../types/interfaces/SessionOptions.ts"
+import {MemorySessionStore} from "../MemorySessionStore.ts"
+import {Session} from "../Session.ts"
+
+// Sets req.session, loaded from the store only when the handlers use it.
+// A cookie is only sent once something was stored, so clients that never
+// log in get no session.
+export function session(options: SessionOptions = {}): Handler {
+    const {
+        store = new MemorySessionStore(),
+        cookieName = "sid",
+        maxAge = 24 * 60 * 60,
+        rolling = false,
+    } = options
+    const cookie = {path: "/", httpOnly: true, sameSite: "Lax" as const, ...options.cookie}
+    const ttl = maxAge * 1000
+
+    return async (req, res, next) => {
+        const clientId = req.cookies[cookieName]
+        const session = new Session(store, clientId)
+        req.session = session
+        await next()
+
+        let id: string | undefined
+        if (session.changed) {
+            id = await session.save(ttl)
+        } else if (session.destroyed) {
+            if (clientId) res.clearCookie(cookieName, cookie)
+            return
+        } else if (rolling && clientId) {
+            id = await session.touch(ttl)
+        }
+        // without rolling, the cookie lives as long as the last save
+        if (id) await res.cookie(cookieName, id, {...cookie, maxAge})
+    }
+}
@@ -0,0 +1,43 @@
+import {Handler} from "../../types/index.ts"
+import {cyan, green, red, yellow} from "../../deps.ts"
+import {Request} from "../Request.ts"
+import {Response} from "../Response.ts"
+
+export function simpleLog(timer: boolean = true): Handler {
+    return async (req, res, next) => {
+        const begin = Date.now()
+        if (!res) {
+            await next();
+            return console.log(req.method, req.url);
+        }
+        // logged once the response was written, so requests failing with a
+        // thrown error show up too, with the status the error handlers chose
+        res.onFinish(() => log(req, res, begin, timer));
+        await next();
+    };
+}
+
+function log(req: Request, res: Response, begin: number, timer: boolean): void {
+    if (req.error) console.log(red(req.error + ""), req.context.id);
+    if (res.status >= 500) {
+        return output(red(res.status + ""), req, begin, timer)
+    }
+    if (res.status >= 400) {
+        return output(yellow(res.status + ""), req, begin, timer)
+    }
+    if (res.status >= 300) {
+        return output(cyan(res.status + ""), req, begin, timer)
+    }
+    if (res.status >= 200) {
+        return output(green(res.status + ""), req, begin, timer)
+    }
+}
+
+function getSpendTime(start: number, end: number): string{
+    return "("+(end-start)+" MS)"
+}
+
+function output(status: string,req: Request, begin: number, timer: boolean): void{
+    const id = req.context.id ? "[" + req.context.id + "]" : ""
+    console.log(status, timer ? getSpendTime(begin, Date.now()) : "" , req.method, req.url, id);
+}
@@ -0,0 +1,41 @@
+import {assert, assertEquals, assertThrowsAsync} from "../../test_deps.ts"
+import {fakeRequest} from "../../test_util.ts"
+import {defaultErrorHandler} from "./defaultErrorHandler.ts"
+import {simpleLog} from "./simpleLog.ts"
+
+async function captureLog(fn: () => Promise<void>): Promise<string[]> {
+    const lines: string[] = []
+    const log = console.log
+    console.log = (...args: unknown[]) => lines.push(args.join(" "))
+    try {
+        await fn()
+    } finally {
+        console.log = log
+    }
+    return lines
+}
+
+Deno.test("simpleLog logs a request once its response finished", async () => {
+    const {req, res} = fakeRequest("GET", "/hello")
+    const lines = await captureLog(async () => {
+        await simpleLog(false)(req, res, async () => res.send("hi"))
+        res.finish()
+    })
+    assertEquals(lines.length, 1)
+    assert(lines[0].includes("200") && lines[0].includes("GET /hello"))
+})
+
+Deno.test("simpleLog logs requests failing with a thrown error", async () => {
+    const {req, res} = fakeRequest("GET", "/boom")
+    const lines = await captureLog(async () => {
+        await assertThrowsAsync(() => simpleLog(false)(req, res, () => {
+            throw new Error("kaboom")
+        }), Error, "kaboom")
+        // what App does with the error before writing the response
+        defaultErrorHandler(new Error("kaboom"), req, res, async () => {})
+        res.finish()
+    })
+    assertEquals(lines.length, 2)
+    assert(lines[0].includes("kaboom"))
+    assert(lines[1].includes("500") && lines[1].includes("GET /boom"))
+})
@@ -0,0 +1,135 @@
+import {Middleware, Next} from "../../types/index.ts"
+import {StaticOptions} from "../../types/interfaces/StaticOptions.ts"
+import {lookup, path} from "../../deps.ts"
+import {Request} from "../Request.ts"
+import {Response} from "../Response.ts"
+import {FileCache} from "../FileCache.ts"
+import {HttpError} from "../HttpError.ts"
+import {directoryListing} from "./directoryListing.ts"
+import {resolveInRoot} from "./safePath.ts"
+
+// Precompressed siblings, in the order they are preferred on a tie.
+const ENCODINGS: [string, string][] = [["br", ".br"], ["gzip", ".gz"]]
+
+// Serves files from dir. The second argument is either options or, as
+// before, the extension of the index file.
+export function static_(dir: string, options: string | StaticOptions = {}): Middleware {
+    const {
+        ext = "html",
+        index = true,
+        listing = false,
+        spa = false,
+        prefix = "",
+        cacheControl = {},
+        precompressed = false,
+        cache = false,
+        dotfiles,
+        symlinks,
+    } = typeof options === "string" ? {ext: options} as StaticOptions : options
+    const indexFile = "index." + ext
+    const mount = prefix.replace(/\/+$/, "")
+    const fallback = spa === true ? indexFile : spa || ""
+    const policy = {dotfiles, symlinks}
+    const fileCache = cache instanceof FileCache
+        ? cache
+        : cache ? new FileCache(cache === true ? {} : cache) : undefined
+    fileCache?.watch(dir)
+    const fileOptions = {cache: fileCache}
+    const cachePolicies = Object.entries(cacheControl).map(([glob, value]) => ({
+        pattern: path.globToRegExp(glob, {os: "linux"}),
+        basename: !glob.includes("/"),
+        value,
+    }))
+
+    // Sends the file at the root relative path with its cache policy,
+    // or an encoded sibling of it if the client accepts one.
+    async function send(req: Request, res: Response, relative: string): Promise<void> {
+        const filePath = await resolveInRoot(dir, relative, policy)
+        const name = relative.replace(/^\/+/, "")
+        const cachePolicy = cachePolicies.find((p) =>
+            p.pattern.test(p.basename ? name.split("/").pop()! : name)
+        )
+        if (cachePolicy) res.headers.set("Cache-Control", cachePolicy.value)
+        const contentType = lookup(path.extname(filePath).slice(1))
+        if (!precompressed || !contentType) return res.file(filePath, undefined, fileOptions)
+
+        const siblings: { [encoding: string]: string } = {}
+        for (const [encoding, suffix] of ENCODINGS) {
+            try {
+                const sibling = await resolveInRoot(dir, relative + suffix, policy)
+                if (await isFile(sibling)) siblings[encoding] = sibling
+            } catch {
+                // no usable sibling
+            }
+        }
+        const encodings = Object.keys(siblings)
+        if (!encodings.length) return res.file(filePath, undefined, fileOptions)
+        res.vary("Accept-Encoding")
+        const encoding = req.acceptsEncodings(...encodings, "identity")
+        if (!encoding || encoding === "identity") return res.file(filePath, undefined, fileOptions)
+        res.headers.set("Content-Encoding", encoding)
+        await res.file(siblings[encoding], undefined, {...fileOptions, contentType})
+    }
+
+    return async (req: Request, res: Response, next: Next) => {
+        if (req.method !== "GET" && req.method !== "HEAD") return next()
+        let urlPath = req.path
+        if (mount) {
+            if (urlPath !== mount && !urlPath.startsWith(mount + "/")) return next()
+            urlPath = urlPath.slice(mount.length) || "/"
+        }
+        let relative: string
+        try {
+            relative = decodeURIComponent(urlPath)
+        } catch {
+            throw new HttpError(400, "malformed URL path")
+        }
+        try {
+            const filePath = await resolveInRoot(dir, relative, policy)
+            // cached files are known not to be directories
+            if (fileCache?.has(filePath) || !(await Deno.stat(filePath)).isDirectory) {
+                return await send(req, res, relative)
+            }
+
+            // the path the client asked for, with the prefix routers stripped
+            const fullPath = (req.baseUrl + mount + urlPath).replace(/^\/+/, "/")
+            if (!urlPath.endsWith("/")) {
+                // relative links inside the directory need the trailing slash;
+                // "//host/" would be another site, so leading slashes collapse
+                res.status = 301
+                res.headers.set("Location", fullPath + "/" + req.search)
+                return
+            }
+            // the root index file is always served
+            if ((index || urlPath === "/") && await isFile(path.join(filePath, indexFile))) {
+                return await send(req, res, relative + indexFile)
+            }
+            if (listing) return await directoryListing(filePath, fullPath, req, res, policy)
+        } catch (e) {
+            // paths outside of the root are refused, not passed on
+            if (e instanceof HttpError && e.status !== 404) throw e
+        }
+        if (fallback && isPage(urlPath) && req.accepts("html")) {
+            try {
+                return await send(req, res, fallback)
+            } catch {
+                // no usable fallback page, the next handlers respond
+            }
+        }
+        await next()
+    }
+}
+
+async function isFile(filePath: string): Promise<boolean> {
+    try {
+        return (await Deno.stat(filePath)).isFile
+    } catch {
+        return false
+    }
+}
+
+// Paths whose last segment has no extension are app routes, not assets.
+function isPage(url: string): boolean {
+    const last = url.split("/").pop() || ""
+    return !last.includes(".")
+}
@@ -0,0 +1,77 @@
+import {assert, assertEquals, assertThrowsAsync} from "../../test_deps.ts"
+import {fakeRequest, withTempDir} from "../../test_util.ts"
+import {HttpError} from "../HttpError.ts"
+import {StaticOptions} from "../../types/interfaces/StaticOptions.ts"
+import {Handler} from "../../types/index.ts"
+import {static_} from "./static.ts"
+import {Router} from "../Router.ts"
+
+// a site with a directory whose name looks like a host
+const withSite = (fn: (dir: string) => Promise<void>) => withTempDir({
+    "index.html": "home",
+    "docs/index.html": "docs",
+    "evil.com/": "",
+}, fn)
+
+async function get(dir: string, url: string, options: StaticOptions = {}) {
+    const {req, res} = fakeRequest("GET", url, {Accept: "text/html"})
+    let reached = false
+    const handler = static_(dir, options) as Handler
+    await handler(req, res, async () => {
+        reached = true
+    })
+    res.close()
+    return {res, reached}
+}
+
+Deno.test("static redirects directories to their trailing slash", () => withSite(async (dir) => {
+    let {res} = await get(dir, "/docs?a=1")
+    assertEquals(res.status, 301)
+    assertEquals(res.headers.get("Location"), "/docs/?a=1");
+    ({res} = await get(dir, "/docs", {prefix: "/site/"}))
+    assertEquals(res.status, 200);
+    ({res} = await get(dir, "/site/docs", {prefix: "/site/"}))
+    assertEquals(res.headers.get("Location"), "/site/docs/")
+}))
+
+Deno.test("static redirects keep the prefix of the router mounting it", () => withSite(async (dir) => {
+    const router = new Router()
+    router.use("/assets", static_(dir, {listing: true, index: false}))
+    let {req, res} = fakeRequest("GET", "/assets/docs?a=1")
+    await router.handle(req, res, async () => {})
+    assertEquals(res.status, 301)
+    assertEquals(res.headers.get("Location"), "/assets/docs/?a=1");
+    ({req, res} = fakeRequest("GET", "/assets/docs/", {Accept: "text/html"}))
+    await router.handle(req, res, async () => {})
+    assert((res.body as string).includes("<title>Index of /assets/docs/</title>"))
+}))
+
+Deno.test("static redirects never point to another host", () => withSite(async (dir) => {
+    for (const url of ["//evil.com", "///evil.com"]) {
+        const {res} = await get(dir, url)
+        assertEquals(res.status, 301)
+        assertEquals(res.headers.get("Location"), "/evil.com/")
+    }
+}))
+
+Deno.test("static serves index files and falls through on misses", () => withSite(async (dir) => {
+    let {res, reached} = await get(dir, "/docs/")
+    assertEquals(res.headers.get("Content-Type"), "text/html")
+    assertEquals(reached, false);
+    ({reached} = await get(dir, "/missing.txt"))
+    assertEquals(reached, true)
+}))
+
+Deno.test("static serves the spa fallback for pages only", () => withSite(async (dir) => {
+    let {res, reached} = await get(dir, "/app/settings", {spa: true})
+    assertEquals(reached, false)
+    assertEquals(res.headers.get("Content-Type"), "text/html");
+    ({reached} = await get(dir, "/app/missing.js", {spa: true}))
+    assertEquals(reached, true)
+}))
+
+Deno.test("static refuses paths leaving the root", () => withSite(async (dir) => {
+    const error = await assertThrowsAsync(() => get(dir, "/docs/..%2F..%2Fetc/passwd"), HttpError)
+    assertEquals((error as HttpError).status, 403)
+    await assertThrowsAsync(() => get(dir, "/%E0%A4%A"), HttpError, "malformed")
+}))
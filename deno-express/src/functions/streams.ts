@@ -0,0 +1,60 @@
+// Conversions between Deno.Reader, which std's http server writes, and web
+// streams, which the compression and body APIs work with.
+
+export function readerToStream(reader: Deno.Reader): ReadableStream<Uint8Array> {
+    return new ReadableStream({
+        async pull(controller) {
+            const buf = new Uint8Array(16 * 1024)
+            const n = await reader.read(buf)
+            if (n === null) return controller.close()
+            controller.enqueue(buf.subarray(0, n))
+        },
+    })
+}
+
+export function bytesToStream(bytes: Uint8Array): ReadableStream<Uint8Array> {
+    return new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes)
+            controller.close()
+        },
+    })
+}
+
+export function streamToReader(stream: ReadableStream<Uint8Array>): Deno.Reader {
+    return iterableToReader(stream as any as AsyncIterable<Uint8Array>)
+}
+
+export function iterableToReader(iterable: AsyncIterable<Uint8Array>): Deno.Reader {
+    const iterator = iterable[Symbol.asyncIterator]()
+    let pending: Uint8Array = new Uint8Array(0)
+    return {
+        async read(p: Uint8Array): Promise<number | null> {
+            while (!pending.byteLength) {
+                const {done, value} = await iterator.next()
+                if (done || !value) return null
+                pending = value
+            }
+            const n = Math.min(p.byteLength, pending.byteLength)
+            p.set(pending.subarray(0, n))
+            pending = pending.subarray(n)
+            return n
+        },
+    }
+}
+
+export async function readStream(stream: ReadableStream<Uint8Array>): Promise<Uint8Array> {
+    const chunks: Uint8Array[] = []
+    let size = 0
+    for await (const chunk of stream as any as AsyncIterable<Uint8Array>) {
+        chunks.push(chunk)
+        size += chunk.byteLength
+    }
+    const bytes = new Uint8Array(size)
+    let offset = 0
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset)
+        offset += chunk.byteLength
+    }
+    return bytes
+}
@@ -0,0 +1,34 @@
+import {Handler} from "../../types/index.ts"
+import {HttpError} from "../HttpError.ts"
+import {Request} from "../Request.ts"
+
+// Runs fn, failing with an HttpError of the given status once ms passed.
+// req.signal is aborted then, so work fn started can be cancelled; fn
+// itself is left running, but res.file refuses from then on, resources it
+// adds once the response was closed are closed right away and writing the
+// sent response throws.
+export async function runWithTimeout(
+    req: Request,
+    ms: number,
+    status: number,
+    fn: () => Promise<void>,
+): Promise<void> {
+    let timer: ReturnType<typeof setTimeout> | undefined
+    const timedOut = new Promise<never>((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new HttpError(status, `request timed out after ${ms} ms`)
+            req.abort(error)
+            reject(error)
+        }, ms)
+    })
+    try {
+        await Promise.race([fn(), timedOut])
+    } finally {
+        clearTimeout(timer)
+    }
+}
+
+// Times out everything after it, for use with a prefix or on a Router.
+export function timeout(ms: number, status = 503): Handler {
+    return (req, res, next) => runWithTimeout(req, ms, status, next)
+}
@@ -0,0 +1,34 @@
+import {assertEquals, assertThrowsAsync} from "../../test_deps.ts"
+import {fakeRequest, withTempDir} from "../../test_util.ts"
+import {HttpError} from "../HttpError.ts"
+import {runWithTimeout, timeout} from "./timeout.ts"
+
+Deno.test("runWithTimeout fails with the status and aborts the request", async () => {
+    const {req} = fakeRequest("GET", "/")
+    let resolveSlow = () => {}
+    const slow = new Promise<void>((resolve) => resolveSlow = resolve)
+    const error = await assertThrowsAsync(() => runWithTimeout(req, 10, 504, () => slow), HttpError)
+    assertEquals((error as HttpError).status, 504)
+    assertEquals(req.signal.aborted, true)
+    assertEquals(req.signal.reason, error)
+    resolveSlow()
+})
+
+Deno.test("timeout lets fast handlers finish", async () => {
+    const {req, res} = fakeRequest("GET", "/")
+    await timeout(1000)(req, res, async () => res.send("done"))
+    assertEquals(res.body, "done")
+    assertEquals(req.signal.aborted, false)
+})
+
+Deno.test("handlers running after the timeout can't send files", () => withTempDir({"a.txt": "a"}, async (dir) => {
+    const {req, res} = fakeRequest("GET", "/")
+    let late: Promise<void> | undefined
+    await assertThrowsAsync(() => timeout(10)(req, res, () => {
+        late = new Promise<void>((resolve) => setTimeout(resolve, 30))
+            .then(() => res.file(dir + "/a.txt"))
+        return late
+    }), HttpError)
+    await assertThrowsAsync(() => late!, HttpError)
+    assertEquals(res.body, undefined)
+}))
@@ -0,0 +1,88 @@
+import {Params, PathMatcher} from "../types/index.ts"
+import {PathSegment} from "../types/interfaces/PathSegment.ts"
+
+// Segment syntax:
+//   {name}        any single segment
+//   {name:regex}  single segment matching regex
+//   {name?}       optional trailing segment (also {name?:regex})
+//   {name*} or *  catch-all tail, must be the last segment
+export function parsePattern(_pattern: string): PathSegment[] {
+    const pattern = _pattern.split("/");
+    const names = new Set();
+    const segments: PathSegment[] = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const p = pattern[i];
+        const last = i === pattern.length - 1;
+        if (p === "*") {
+            if (!last) throw new Error("wildcard must be the last segment");
+            if (names.has("*")) throw new Error("duplicated param name");
+            names.add("*");
+            segments.push({kind: "wildcard", value: "*", optional: false});
+        } else if (p[0] === "{" && p[p.length - 1] === "}") {
+            const body = p.slice(1, -1);
+            const colon = body.indexOf(":");
+            let name = (colon === -1 ? body : body.slice(0, colon)).trim();
+            const source = colon === -1 ? undefined : body.slice(colon + 1);
+            let kind: PathSegment["kind"] = "param";
+            let optional = false;
+            if (name.endsWith("*")) {
+                if (!last) throw new Error("wildcard must be the last segment");
+                if (source !== undefined) throw new Error("invalid param pattern");
+                kind = "wildcard";
+                name = name.slice(0, -1).trim();
+            } else if (name.endsWith("?")) {
+                optional = true;
+                name = name.slice(0, -1).trim();
+            }
+            if (!name) throw new Error("invalid param name");
+            if (names.has(name)) throw new Error("duplicated param name");
+            names.add(name);
+            let constraint: RegExp | undefined;
+            if (source !== undefined) {
+                try {
+                    constraint = new RegExp(`^(?:${source})$`);
+                } catch {
+                    throw new Error("invalid param pattern");
+                }
+            }
+            segments.push({kind, value: name, optional, constraint});
+        } else if (!p.trim() && i > 0 && !last) {
+            throw new Error("invalid path segment");
+        } else {
+            segments.push({kind: "static", value: p, optional: false});
+        }
+    }
+    const firstOptional = segments.findIndex((s) => s.optional);
+    if (firstOptional !== -1 && segments.slice(firstOptional).some((s) => !s.optional)) {
+        throw new Error("optional param must be at the end of the pattern");
+    }
+    return segments;
+}
+
+export function matchesSegment(segment: PathSegment, value: string): boolean {
+    if (segment.kind === "static") return segment.value === value;
+    return !segment.constraint || segment.constraint.test(value);
+}
+
+export const simplePathMatcher: PathMatcher = (_pattern) => {
+    const segments = parsePattern(_pattern);
+    return (_path) => {
+        const path = _path.split("/");
+        const params: Params = {};
+        for (let i = 0; i < segments.length; i++) {
+            const s = segments[i];
+            if (s.kind === "wildcard") {
+                if (i >= path.length) return null;
+                params[s.value] = path.slice(i).join("/");
+                return params;
+            }
+            if (i >= path.length) {
+                // the rest of the pattern is made of optional params
+                return s.optional ? params : null;
+            }
+            if (!matchesSegment(s, path[i])) return null;
+            if (s.kind === "param") params[s.value] = path[i];
+        }
+        return segments.length === path.length ? params : null;
+    };
+};
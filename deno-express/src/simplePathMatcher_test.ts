@@ -0,0 +1,38 @@
+import {assertEquals, assertThrows} from "../test_deps.ts"
+import {simplePathMatcher} from "./simplePathMatcher.ts"
+
+Deno.test("simplePathMatcher matches static segments and params", () => {
+    const match = simplePathMatcher("/users/{id}/posts")
+    assertEquals(match("/users/42/posts"), {id: "42"})
+    assertEquals(match("/users/42"), null)
+    assertEquals(match("/users/42/posts/1"), null)
+})
+
+Deno.test("simplePathMatcher checks param constraints", () => {
+    const match = simplePathMatcher("/items/{id:\\d+}")
+    assertEquals(match("/items/7"), {id: "7"})
+    assertEquals(match("/items/seven"), null)
+})
+
+Deno.test("simplePathMatcher allows trailing optional params", () => {
+    const match = simplePathMatcher("/archive/{year?}/{month?:\\d{2}}")
+    assertEquals(match("/archive"), {})
+    assertEquals(match("/archive/2021"), {year: "2021"})
+    assertEquals(match("/archive/2021/05"), {year: "2021", month: "05"})
+    assertEquals(match("/archive/2021/may"), null)
+})
+
+Deno.test("simplePathMatcher captures the tail with wildcards", () => {
+    assertEquals(simplePathMatcher("/files/*")("/files/a/b.txt"), {"*": "a/b.txt"})
+    assertEquals(simplePathMatcher("/files/{rest*}")("/files/a/b.txt"), {rest: "a/b.txt"})
+    assertEquals(simplePathMatcher("/files/*")("/files"), null)
+})
+
+Deno.test("simplePathMatcher rejects invalid patterns", () => {
+    assertThrows(() => simplePathMatcher("/*/a"), Error, "wildcard")
+    assertThrows(() => simplePathMatcher("/{a}/{a}"), Error, "duplicated")
+    assertThrows(() => simplePathMatcher("/{a?}/b"), Error, "optional")
+    assertThrows(() => simplePathMatcher("/{a:(}"), Error, "invalid param pattern")
+    assertThrows(() => simplePathMatcher("/{}"), Error, "invalid param name")
+    assertThrows(() => simplePathMatcher("/a//b"), Error, "invalid path segment")
+})
@@ -0,0 +1,6 @@
+export {
+  assert,
+  assertEquals,
+  assertThrows,
+  assertThrowsAsync,
+} from "https://deno.land/std@0.92.0/testing/asserts.ts";
@@ -0,0 +1,54 @@
+import { Request } from "./src/Request.ts";
+import { Response } from "./src/Response.ts";
+
+// A request as std's ServerRequest would hand it over, without a connection.
+export function fakeRequest(
+  method: string,
+  url: string,
+  headers: HeadersInit = {},
+  body = "",
+): { req: Request; res: Response } {
+  const bytes = new TextEncoder().encode(body);
+  let offset = 0;
+  const req = new Request({
+    method,
+    url,
+    headers: new Headers(headers),
+    contentLength: body ? bytes.byteLength : null,
+    conn: { remoteAddr: { transport: "tcp", hostname: "127.0.0.1", port: 4000 } },
+    body: {
+      read(p: Uint8Array): Promise<number | null> {
+        if (offset >= bytes.byteLength) return Promise.resolve(null);
+        const n = Math.min(p.byteLength, bytes.byteLength - offset);
+        p.set(bytes.subarray(offset, offset + n));
+        offset += n;
+        return Promise.resolve(n);
+      },
+    },
+  });
+  return { req, res: new Response(req) };
+}
+
+// Runs fn with a temp dir holding files, by path relative to it; paths
+// ending with "/" are created as empty directories. Removed afterwards.
+export async function withTempDir(
+  files: { [path: string]: string },
+  fn: (dir: string) => Promise<void>,
+): Promise<void> {
+  const dir = await Deno.makeTempDir();
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      const filePath = dir + "/" + name;
+      if (name.endsWith("/")) {
+        await Deno.mkdir(filePath, { recursive: true });
+        continue;
+      }
+      const slash = filePath.lastIndexOf("/");
+      await Deno.mkdir(filePath.slice(0, slash), { recursive: true });
+      await Deno.writeTextFile(filePath, content);
+    }
+    await fn(dir);
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+}
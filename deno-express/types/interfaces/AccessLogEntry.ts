@@ -0,0 +1,17 @@
+export interface AccessLogEntry {
+    time: Date;
+    remoteAddr: string;
+    method: string;
+    url: string;
+    protocol: string;
+    status: number;
+    // body bytes sent, without headers
+    bytes: number;
+    // ms from the start of the request until the response was written
+    duration: number;
+    userAgent: string | null;
+    referer: string | null;
+    // pattern of the route that matched, like "/users/{id}"
+    route: string | null;
+    requestId: string | null;
+  }
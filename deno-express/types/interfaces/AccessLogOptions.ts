@@ -0,0 +1,13 @@
+import {AccessLogEntry} from "./AccessLogEntry.ts"
+import {LogWriter} from "./LogWriter.ts"
+import {RotatingFileOptions} from "./RotatingFileOptions.ts"
+
+export interface AccessLogOptions {
+    // Apache "combined" or "common" log format, one JSON object per line,
+    // or a function formatting the line itself
+    format?: "combined" | "common" | "json" | ((entry: AccessLogEntry) => string);
+    // "stdout", a file rotated by size, or any writer
+    sink?: "stdout" | RotatingFileOptions | LogWriter;
+    // don't log requests this returns true for, like health checks
+    skip?: (entry: AccessLogEntry) => boolean;
+  }
@@ -0,0 +1,6 @@
+export interface CompressionOptions {
+    // bodies with a known length below this many bytes are sent as they are
+    threshold?: number;
+    // supported encodings, the client's preference decides among them
+    encodings?: ("br" | "gzip" | "deflate")[];
+  }
@@ -0,0 +1,14 @@
+export interface CookieOptions {
+    path?: string;
+    domain?: string;
+    // seconds until the cookie expires, takes precedence over expires
+    maxAge?: number;
+    expires?: Date;
+    httpOnly?: boolean;
+    secure?: boolean;
+    sameSite?: "Strict" | "Lax" | "None";
+    // CHIPS, a cookie kept per top-level site; requires secure
+    partitioned?: boolean;
+    // sign the value with the first secret given to cookieParser
+    signed?: boolean;
+  }
@@ -0,0 +1,23 @@
+import {Request} from "../../src/Request.ts"
+
+export type CorsOrigin =
+    | string
+    | RegExp
+    | (string | RegExp)[]
+    | ((origin: string, req: Request) => boolean | Promise<boolean>)
+
+export interface CorsOptions {
+    // allowed origins, "*" (the default) allows any
+    origin?: CorsOrigin;
+    // methods allowed in preflights
+    methods?: string[];
+    // request headers allowed in preflights, by default the requested ones
+    allowedHeaders?: string[];
+    // response headers the browser may expose to scripts
+    exposedHeaders?: string[];
+    // allow cookies and authorization; needs an origin other than "*",
+    // the matching request origin is echoed back
+    credentials?: boolean;
+    // seconds browsers may cache a preflight result
+    maxAge?: number;
+  }
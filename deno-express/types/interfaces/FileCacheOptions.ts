@@ -0,0 +1,7 @@
+export interface FileCacheOptions {
+    // total bytes of file contents and transforms kept, least recently used
+    // files are evicted first
+    maxSize?: number;
+    // drop entries when their files change on disk
+    watch?: boolean;
+  }
@@ -0,0 +1,16 @@
+import {FileCache} from "../../src/FileCache.ts"
+
+export interface FileOptions {
+    // resolve the file path inside this directory and refuse to leave it
+    root?: string;
+    // files or directories starting with a dot: "allow" serves them, "deny"
+    // answers 403 and "ignore" answers 404
+    dotfiles?: "allow" | "deny" | "ignore";
+    // "follow" serves any symlink, "root" only symlinks pointing inside the
+    // root, "deny" none at all
+    symlinks?: "follow" | "root" | "deny";
+    // Content-Type to send instead of the one looked up from the extension
+    contentType?: string;
+    // serve the file from this cache instead of reading it every time
+    cache?: FileCache;
+  }
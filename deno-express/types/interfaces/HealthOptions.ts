@@ -0,0 +1,14 @@
+import {HealthCheck} from "../index.ts"
+
+export interface HealthOptions {
+    // liveness route, fails only if the process should be restarted
+    livePath?: string;
+    // readiness route, fails while the app should get no traffic
+    readyPath?: string;
+    // checks run by the liveness route, by name
+    live?: { [name: string]: HealthCheck };
+    // checks run by the readiness route, by name
+    ready?: { [name: string]: HealthCheck };
+    // ms a check may take before it counts as failed
+    timeout?: number;
+  }
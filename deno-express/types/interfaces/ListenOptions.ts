@@ -0,0 +1,12 @@
+export interface ListenOptions {
+    // ms close() waits for in-flight requests before cutting connections
+    shutdownTimeout?: number;
+    // close gracefully and exit on SIGINT and SIGTERM
+    handleSignals?: boolean;
+    // default Request.maxBodySize, in bytes
+    maxBodySize?: number;
+    // ms a request may be handled before it fails, no limit by default
+    requestTimeout?: number;
+    // status responded with on timeout, 503 by default
+    timeoutStatus?: number;
+  }
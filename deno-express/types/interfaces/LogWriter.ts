@@ -0,0 +1,5 @@
+export interface LogWriter {
+    // receives one line without the trailing newline
+    write(line: string): void | Promise<void>;
+    close?(): void | Promise<void>;
+  }
@@ -0,0 +1,6 @@
+export interface MetricsOptions {
+    // route the metrics are served on
+    path?: string;
+    // upper bounds of the latency histogram buckets, in seconds
+    buckets?: number[];
+  }
@@ -0,0 +1,12 @@
+export interface MultipartOptions {
+    // largest accepted file, in bytes
+    maxFileSize?: number;
+    // largest accepted sum of all fields and files, in bytes; replaces the
+    // request's maxBodySize, which is the default
+    maxTotalSize?: number;
+    // "disk" writes files to temp files that are removed once the response
+    // is sent, "memory" keeps their bytes
+    storage?: "memory" | "disk";
+    // directory for the temp files, the system one by default
+    tempDir?: string;
+  }
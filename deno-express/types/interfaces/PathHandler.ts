@@ -0,0 +1,9 @@
+import {EndHandler, Method} from "../index.ts"
+import {RouteOptions} from "./RouteOptions.ts"
+
+export interface PathHandler extends RouteOptions {
+    method: Method;
+    pattern: string;
+    match: (path: string) => any;
+    handle: EndHandler;
+  }
@@ -0,0 +1,7 @@
+export interface PathSegment {
+    kind: "static" | "param" | "wildcard";
+    // literal text for static segments, param name otherwise
+    value: string;
+    optional: boolean;
+    constraint?: RegExp;
+  }
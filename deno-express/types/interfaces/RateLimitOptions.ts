@@ -0,0 +1,24 @@
+import {Request} from "../../src/Request.ts"
+import {RateLimitStore} from "./RateLimitStore.ts"
+
+export interface RateLimitOptions {
+    // requests allowed per window
+    limit?: number;
+    // ms
+    window?: number;
+    // "token-bucket" allows bursts of limit and refills steadily,
+    // "sliding-window" weighs the previous window's count in
+    strategy?: "token-bucket" | "sliding-window";
+    // what a client is, by default the socket's IP address; behind proxies
+    // {header: "X-Forwarded-For", trustedProxies: 1} takes the entry the
+    // given count of proxies (1 by default) from the right
+    key?: "ip" | { header: string, trustedProxies?: number } | ((req: Request) => string | Promise<string>);
+    // a MemoryRateLimitStore by default
+    store?: RateLimitStore;
+    // keeps the keys of limiters sharing a store apart
+    name?: string;
+    // send RateLimit-* headers on every response, not only on 429
+    headers?: boolean;
+    // requests this returns true for are not counted
+    skip?: (req: Request) => boolean;
+  }
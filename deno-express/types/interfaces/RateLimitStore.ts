@@ -0,0 +1,6 @@
+// Keeps the state of each rate limit key. update must apply fn atomically,
+// so concurrent requests of a client can't both take the last hit.
+export interface RateLimitStore {
+    // ttl is in ms, after it the state may be dropped
+    update<S, R>(key: string, ttl: number, fn: (state: S | undefined) => [S, R]): Promise<R>;
+  }
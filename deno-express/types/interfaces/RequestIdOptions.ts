@@ -0,0 +1,8 @@
+export interface RequestIdOptions {
+    // request header the id is taken from and response header it is sent in
+    header?: string;
+    // use the id sent by the client, e.g. a proxy, if it looks valid
+    trustIncoming?: boolean;
+    // creates ids for requests without one, crypto.randomUUID by default
+    generate?: () => string;
+  }
@@ -0,0 +1,7 @@
+export interface RotatingFileOptions {
+    path: string;
+    // the file is rotated before it grows past this many bytes
+    maxSize?: number;
+    // rotated files kept as path.1 (newest) to path.maxFiles
+    maxFiles?: number;
+  }
@@ -0,0 +1,7 @@
+import {Params} from "../index.ts"
+import {PathHandler} from "./PathHandler.ts"
+
+export interface RouteMatch {
+    handler: PathHandler;
+    params: Params;
+  }
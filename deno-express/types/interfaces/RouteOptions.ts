@@ -0,0 +1,6 @@
+export interface RouteOptions {
+    // ms the handler may take before the request fails
+    timeout?: number;
+    // status responded with on timeout, 503 by default
+    timeoutStatus?: number;
+  }
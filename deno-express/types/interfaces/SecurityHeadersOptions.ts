@@ -0,0 +1,37 @@
+export interface CspOptions {
+    // merged over the defaults; a list of sources, true for directives
+    // without value like upgrade-insecure-requests, false to drop one
+    directives?: { [name: string]: string[] | boolean };
+    // start from no directives instead of the defaults
+    useDefaults?: boolean;
+    // send Content-Security-Policy-Report-Only, to try a policy out
+    reportOnly?: boolean;
+    // add a per-request nonce to script-src, available as
+    // req.context.cspNonce
+    nonce?: boolean;
+    // with nonce, add it to style-src too; browsers then ignore the default
+    // 'unsafe-inline', so <style> elements need the nonce and style
+    // attributes are blocked
+    styleNonce?: boolean;
+  }
+
+export interface HstsOptions {
+    // seconds, 180 days by default
+    maxAge?: number;
+    includeSubDomains?: boolean;
+    preload?: boolean;
+  }
+
+// Every header can be turned off with false. Using the middleware again
+// with a prefix overrides the headers for that part of the app.
+export interface SecurityHeadersOptions {
+    contentSecurityPolicy?: CspOptions | false;
+    strictTransportSecurity?: HstsOptions | false;
+    // X-Content-Type-Options: nosniff
+    noSniff?: boolean;
+    referrerPolicy?: string | false;
+    // X-Frame-Options, for browsers not supporting frame-ancestors
+    frameOptions?: "DENY" | "SAMEORIGIN" | false;
+    // features and the origins allowed to use them, [] disables one
+    permissionsPolicy?: { [feature: string]: string[] } | false;
+  }
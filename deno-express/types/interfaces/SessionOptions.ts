@@ -0,0 +1,15 @@
+import {CookieOptions} from "./CookieOptions.ts"
+import {SessionStore} from "./SessionStore.ts"
+
+export interface SessionOptions {
+    // a MemorySessionStore by default, which loses sessions on restart
+    store?: SessionStore;
+    // name of the cookie holding the session id
+    cookieName?: string;
+    // seconds a session lives after it was last saved, one day by default
+    maxAge?: number;
+    // extend the session on every request, not only when it changed
+    rolling?: boolean;
+    // attributes of the id cookie; by default Path=/, HttpOnly, SameSite=Lax
+    cookie?: Omit<CookieOptions, "maxAge" | "expires">;
+  }
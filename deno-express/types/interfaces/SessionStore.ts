@@ -0,0 +1,12 @@
+export type SessionData = { [key: string]: any }
+
+// Where sessions are kept. Data must survive a JSON round trip.
+export interface SessionStore {
+    get(id: string): Promise<SessionData | null>;
+    // ttl is in ms, the session is gone after it
+    set(id: string, data: SessionData, ttl: number): Promise<void>;
+    delete(id: string): Promise<void>;
+    // extends the ttl without changing the data; stores without it get the
+    // session read and written again
+    touch?(id: string, ttl: number): Promise<void>;
+  }
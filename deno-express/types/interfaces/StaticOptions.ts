@@ -0,0 +1,27 @@
+import {FileCache} from "../../src/FileCache.ts"
+import {FileCacheOptions} from "./FileCacheOptions.ts"
+import {FileOptions} from "./FileOptions.ts"
+
+export interface StaticOptions extends Omit<FileOptions, "root" | "contentType" | "cache"> {
+    // extension of the index file, "html" serves index.html
+    ext?: string;
+    // serve the index file of subdirectories too, not only of the root
+    index?: boolean;
+    // generate an HTML or JSON listing for directories without index file
+    listing?: boolean;
+    // file served for unknown paths that don't look like assets, for single
+    // page apps; true means the root index file
+    spa?: boolean | string;
+    // URL path the files are mounted under, like "/assets"
+    prefix?: string;
+    // Cache-Control values by glob, like {"*.html": "no-cache"}; globs
+    // without a slash match the file name, others the path below the
+    // prefix. The first matching glob wins.
+    cacheControl?: { [glob: string]: string };
+    // serve a "file.br" or "file.gz" sibling instead of the file when the
+    // client accepts that encoding
+    precompressed?: boolean;
+    // keep file contents in memory, invalidated when the files change; pass
+    // a FileCache to share it or to close its watcher on shutdown
+    cache?: boolean | FileCacheOptions | FileCache;
+  }
@@ -0,0 +1,11 @@
+export interface UploadedFile {
+    // form field name
+    name: string;
+    filename: string;
+    contentType: string;
+    size: number;
+    // set when the upload was written to a temp file
+    path?: string;
+    // set when the upload was kept in memory
+    content?: Uint8Array;
+  }
@@ -1,9 +1,10 @@
-import * as expressive from "https://raw.githubusercontent.com/NMathar/deno-express/master/mod.ts";
+import * as expressive from "./deno-express/mod.ts";
 
 const port = 3000;
 const app = new expressive.App();
+app.health();
 app.get("/", (_req, res) => {
   res.send("Hello from Replit\r\n");
 });
-const server = await app.listen(port, "0.0.0.0");
+const server = await app.listen(port, "0.0.0.0", { handleSignals: true });
 console.log("app listening on port " + server.port);
\ No newline at end of file